@@ -82,6 +82,24 @@ export class GameClient {
       }
     });
 
+    // Save export and import
+    const exportBtn = document.getElementById('export-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importFile = document.getElementById('import-file') as HTMLInputElement | null;
+
+    exportBtn?.addEventListener('click', () => this.sendCommand('export'));
+    importBtn?.addEventListener('click', () => importFile?.click());
+    importFile?.addEventListener('change', () => {
+      const file = importFile.files?.[0];
+      if (file) {
+        this.importSave(file);
+        importFile.value = '';
+      }
+    });
+
+    // Dev panel
+    document.getElementById('dev-panel-close')?.addEventListener('click', () => this.ui.hideDevPanel());
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -128,13 +146,18 @@ export class GameClient {
         this.reconnectAttempts = 0;
         this.ui.setConnectionStatus('connected');
         
-        // Send connect message with saved state
-        const savedState = this.state.getSavedState();
+        // Send connect message with the server-signed save. Games stored
+        // before saves were signed are sent as they are so the server can
+        // tell the player why they can't be resumed.
+        const savedGame = this.state.getSavedGame();
+        const legacyState = savedGame ? null : this.state.getSavedState();
         this.send({
           type: 'connect',
           timestamp: Date.now(),
           sessionId: this.sessionId || '',
-          savedState: savedState ? JSON.stringify(savedState) : undefined,
+          playerKey: this.state.getPlayerKey(),
+          savedGame: savedGame ? JSON.stringify(savedGame) : undefined,
+          savedState: legacyState ? JSON.stringify(legacyState) : undefined,
         });
       };
 
@@ -192,6 +215,18 @@ export class GameClient {
       if (data.player) {
         this.state.updatePlayer(data.player);
         this.ui.updatePlayerDisplay(data.player);
+
+        if (data.world) {
+          this.state.updateWorld(data.world);
+        }
+
+        if (data.quests) {
+          this.ui.updateObjectives(data.quests);
+        }
+
+        if (data.save) {
+          this.state.updateSave(data.save);
+        }
         
         // Save state to localStorage
         this.state.saveState();
@@ -207,7 +242,14 @@ export class GameClient {
     });
 
     this.on('combat_start', (data) => {
+      this.ui.clearCombatLog();
       this.ui.showCombat(data.enemy);
+      this.addCombatLog(data.log);
+    });
+
+    this.on('combat_update', (data) => {
+      this.ui.showCombat(data.enemy);
+      this.addCombatLog(data.log);
     });
 
     this.on('combat_end', (data) => {
@@ -216,6 +258,8 @@ export class GameClient {
         this.ui.addMessage('Victory!', 'response');
       } else if (data.result === 'defeat') {
         this.ui.addMessage('You have been defeated...', 'error');
+      } else if (data.result === 'flee') {
+        this.ui.addMessage('You escaped.', 'system');
       }
     });
 
@@ -226,6 +270,46 @@ export class GameClient {
     this.on('modal_close', () => {
       this.ui.closeModal();
     });
+
+    this.on('save_export', (data) => {
+      this.downloadSave(data.slot, data.save);
+    });
+
+    // Dev mode: the server picked up edited content files
+    this.on('content_reload', (data) => {
+      if (data.reloaded) {
+        this.ui.updateContent(data);
+      }
+      this.ui.showContentIssues(data.files, data.issues);
+    });
+  }
+
+  // Offer a save file from the server as a download
+  private downloadSave(slot: string, save: any): void {
+    const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `shadowchronicles-${slot}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Send an exported save file to the server to load
+  private async importSave(file: File): Promise<void> {
+    const content = await file.text();
+    this.send({
+      type: 'import_save',
+      timestamp: Date.now(),
+      sessionId: this.sessionId || '',
+      save: content,
+    });
+  }
+
+  private addCombatLog(log?: string[]): void {
+    for (const entry of log || []) {
+      this.ui.addCombatLog(entry);
+    }
   }
 
   private handleMessage(data: any): void {
@@ -4,6 +4,8 @@
 // ============================================
 
 const STORAGE_KEY = 'shadowchronicles_save';
+// Kept apart from the game so a restart or cleared game keeps it
+const PLAYER_KEY_STORAGE_KEY = 'shadowchronicles_player_key';
 
 interface PlayerState {
   name: string;
@@ -14,13 +16,14 @@ interface PlayerState {
   gold: number;
   xp: number;
   level: number;
-  stats: Record<string, number>;
+  stats: { Physical: number; Mental: number; Resilience: number };
   inventory: any[];
   equippedItems: Record<string, string>;
   statusEffects: any[];
   location: string;
   visitedRooms: string[];
   flags: Record<string, boolean>;
+  hintsUsed?: Record<string, number>;
 }
 
 interface RoomState {
@@ -32,16 +35,34 @@ interface RoomState {
   environment: any;
 }
 
+interface WorldState {
+  objectLocations: Record<string, string>;
+  roomStates: Record<string, Record<string, boolean>>;
+  objectStates?: Record<string, Record<string, boolean>>;
+  flags: Record<string, boolean>;
+  turn?: number;
+  scheduledEvents?: Record<string, number>;
+  firedEvents?: string[];
+  quests?: Record<string, number>;
+  questSteps?: Record<string, string[]>;
+}
+
 interface GameState {
   player: PlayerState | null;
+  world: WorldState | null;
   currentRoom: RoomState | null;
+  // Server-signed save handed back on reconnect; the player and world above
+  // are only for display
+  save: any | null;
   lastSaved: number;
 }
 
 export class StateManager {
   private state: GameState = {
     player: null,
+    world: null,
     currentRoom: null,
+    save: null,
     lastSaved: 0,
   };
 
@@ -75,7 +96,9 @@ export class StateManager {
     localStorage.removeItem(STORAGE_KEY);
     this.state = {
       player: null,
+      world: null,
       currentRoom: null,
+      save: null,
       lastSaved: 0,
     };
   }
@@ -91,7 +114,7 @@ export class StateManager {
         gold: 0,
         xp: 0,
         level: 1,
-        stats: { STR: 10, DEX: 10, INT: 10, WIS: 10, CHA: 10, CON: 10 },
+        stats: { Physical: 10, Mental: 10, Resilience: 10 },
         inventory: [],
         equippedItems: {},
         statusEffects: [],
@@ -104,6 +127,14 @@ export class StateManager {
     this.state.player = { ...this.state.player, ...updates };
   }
 
+  updateWorld(world: WorldState): void {
+    this.state.world = world;
+  }
+
+  updateSave(save: any): void {
+    this.state.save = save;
+  }
+
   updateRoom(updates: Partial<RoomState>): void {
     if (!this.state.currentRoom) {
       this.state.currentRoom = {
@@ -128,6 +159,29 @@ export class StateManager {
     return this.state.player;
   }
 
+  getSavedGame(): any | null {
+    return this.state.save || null;
+  }
+
+  // This browser's key to its saves on the server, created on first use
+  getPlayerKey(): string {
+    try {
+      const stored = localStorage.getItem(PLAYER_KEY_STORAGE_KEY);
+      if (stored) return stored;
+    } catch (e) {
+      console.warn('Failed to load player key:', e);
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    const key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    try {
+      localStorage.setItem(PLAYER_KEY_STORAGE_KEY, key);
+    } catch (e) {
+      console.error('Failed to save player key:', e);
+    }
+    return key;
+  }
+
   getFullState(): GameState {
     return { ...this.state };
   }
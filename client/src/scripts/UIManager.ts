@@ -11,6 +11,10 @@ export class UIManager {
   private panels: Record<string, HTMLElement> = {};
   private modals: Record<string, HTMLElement> = {};
   private roomsData: any[] = [];
+  private spellsData: Map<string, any> = new Map();
+  private itemsData: Map<string, any> = new Map();
+  private skills: string[] = [];
+  private equipment: { items: any; inventory: any[]; flags: Record<string, boolean> } | null = null;
   private visitedRooms: Set<string> = new Set();
   private currentRoomId: string = '';
 
@@ -36,6 +40,7 @@ export class UIManager {
       equipment: document.getElementById('equipment-panel')!,
       spells: document.getElementById('spells-panel')!,
       effects: document.getElementById('effects-panel')!,
+      objectives: document.getElementById('objectives-panel')!,
     };
 
     // Cache modals
@@ -46,6 +51,8 @@ export class UIManager {
     };
 
     this.loadRoomsData();
+    this.loadSpellsData();
+    this.loadItemsData();
   }
 
   addMessage(text: string, className: string = ''): void {
@@ -136,6 +143,13 @@ export class UIManager {
       this.statusBar.level.textContent = `Lvl ${player.level}`;
     }
 
+    if (player.xp !== undefined) {
+      const xpEl = document.getElementById('stat-xp');
+      if (xpEl) {
+        xpEl.textContent = String(player.xp);
+      }
+    }
+
     // Update stats panel
     if (player.stats) {
       for (const [stat, value] of Object.entries(player.stats)) {
@@ -185,9 +199,9 @@ export class UIManager {
 
   private updateEquipment(equipment: any, inventory: any[], flags: Record<string, boolean>): void {
     const slots = ['weapon', 'armor', 'accessory', 'light'];
+    this.equipment = { items: equipment, inventory, flags };
     
-    // Create a map of all available items (from inventory + rooms)
-    // For now we'll just use the equipment IDs directly since equipped items aren't in inventory
+    // Equipped items aren't in the inventory, so names come from the item catalog
     for (const slot of slots) {
       const el = document.getElementById(`equip-${slot}`);
       if (el) {
@@ -195,14 +209,13 @@ export class UIManager {
         const itemId = equipment[slotName];
         
         if (itemId) {
-          // Try to extract a readable name from the ID
-          // Convert IDs like 'flashlight' or 'multi_tool_knife' to readable names
+          // Fall back to a readable name from IDs like 'multi_tool_knife'
           const readableName = itemId
             .replace(/_/g, ' ')
             .split(' ')
             .map((word: string) => word.charAt(0).toUpperCase() + word.slice(1))
             .join(' ');
-          el.textContent = readableName;
+          el.textContent = this.itemsData.get(itemId)?.name || readableName;
           
           // If it's a light source, check if it's on and style accordingly
           if (slot === 'light') {
@@ -224,24 +237,25 @@ export class UIManager {
     }
   }
 
-  private updateSpells(spells: string[]): void {
+  private updateSpells(skills: string[]): void {
+    this.skills = skills;
+
+    // Only skills in the spell catalog are castable; until it loads, show them all
+    const spells = this.spellsData.size > 0
+      ? skills.filter(skillId => this.spellsData.has(skillId))
+      : skills;
+
     if (spells.length === 0) {
       this.panels.spells.innerHTML = '<p class="empty-text">None learned</p>';
       return;
     }
 
-    const spellNames: Record<string, string> = {
-      'mental_focus': 'Mental Focus',
-      'telekinesis': 'Telekinesis',
-      'mind_shield': 'Mind Shield',
-      'psionic_blast': 'Psionic Blast',
-      'neural_link': 'Neural Link',
-    };
-
     const html = spells.map(spellId => {
-      const displayName = spellNames[spellId] || spellId.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+      const spell = this.spellsData.get(spellId);
+      const displayName = spell?.name || spellId.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+      const title = spell ? `${spell.description} (${spell.mpCost} MP)` : '';
       return `
-        <div class="spell-item">
+        <div class="spell-item" title="${title}">
           <span class="spell-icon">✦</span>
           <span class="spell-name">${displayName}</span>
         </div>
@@ -251,6 +265,24 @@ export class UIManager {
     this.panels.spells.innerHTML = html;
   }
 
+  // Anchor progress, the current objective and the active quests
+  updateObjectives(log: any): void {
+    const active = log.quests.filter((quest: any) => !quest.complete);
+
+    const html = `
+      <div class="objective-anchors"><span>Anchors</span><span>${log.anchorsCaptured}/${log.anchorCount}</span></div>
+      <p class="objective-current">${log.currentObjective || 'No current objective'}</p>
+      ${active.map((quest: any) => `
+        <div class="quest-item">
+          <span class="quest-name">${quest.name}</span>
+          <span class="quest-progress">${quest.objectives.filter((o: any) => o.done).length}/${quest.objectives.length}</span>
+        </div>
+      `).join('')}
+    `;
+
+    this.panels.objectives.innerHTML = html;
+  }
+
   private updateEffects(effects: any[]): void {
     if (effects.length === 0) {
       this.panels.effects.innerHTML = '<p class="empty-text">None</p>';
@@ -260,7 +292,7 @@ export class UIManager {
     const html = effects.map(effect => `
       <div class="effect-item">
         <span class="effect-icon">⚡</span>
-        <span class="effect-name">${effect.name}</span>
+        <span class="effect-name">${effect.name}${effect.stacks > 1 ? ` x${effect.stacks}` : ''}</span>
         <span class="effect-duration">${effect.duration}t</span>
       </div>
     `).join('');
@@ -324,13 +356,16 @@ export class UIManager {
   }
 
   private renderHint(data?: any): void {
-    const hint = data?.hint || 'No hints available at this time.';
+    const hint = data?.text || data?.hint || 'No hints available at this time.';
+    const tier = data?.tierName ? `<p class="hint-tier">${data.tierName} (${data.tier}/${data.tierCount})</p>` : '';
+    const used = data?.hintsUsed ? ` Hints used: ${data.hintsUsed}.` : '';
     
     this.modals.content.innerHTML = `
       <div class="hint-container">
         <div class="hint-icon">💡</div>
+        ${tier}
         <div class="hint-text">${hint}</div>
-        <p class="hint-warning">Hints may reduce the challenge of discovery!</p>
+        <p class="hint-warning">Hints may reduce the challenge of discovery!${used}</p>
       </div>
     `;
   }
@@ -353,6 +388,7 @@ export class UIManager {
         <li><code>drop [item]</code> - Drop an item</li>
         <li><code>inventory</code> or <code>i</code> - List your items</li>
         <li><code>use [item]</code> - Use an item</li>
+        <li><code>use [item] on [object]</code> - Use an item on something nearby</li>
       </ul>
 
       <h4>Interaction</h4>
@@ -365,14 +401,33 @@ export class UIManager {
       <h4>Combat</h4>
       <ul>
         <li><code>attack</code> - Attack an enemy</li>
+        <li><code>flee</code> - Escape to the previous room</li>
+      </ul>
+
+      <h4>Psionics</h4>
+      <ul>
         <li><code>cast [spell]</code> - Cast a psionic spell</li>
+        <li><code>cast [spell] on [object]</code> - Focus a spell on something nearby</li>
       </ul>
 
       <h4>Other</h4>
       <ul>
-        <li><code>rest</code> - Rest to recover HP/MP</li>
+        <li><code>hint</code> - Get a hint; ask again for a stronger one</li>
+        <li><code>save [name]</code>, <code>load [name]</code>, <code>saves</code> - Save slots on the server</li>
+        <li><code>export [name]</code> - Download a save file (or use 💾 and 📂 to export and import)</li>
+        <li><code>objectives</code> or <code>journal</code> - Show your quests and current objective</li>
+        <li><code>wait [turns]</code> or <code>z</code> - Let time pass</li>
+        <li><code>rest</code> or <code>sleep</code> - Rest to recover HP/MP</li>
         <li><code>help</code> - Show this help</li>
       </ul>
+
+      <h4>Shortcuts</h4>
+      <ul>
+        <li><code>take medkit. n then look</code> - Chain commands with periods or <code>then</code></li>
+        <li><code>take id tag and medkit</code>, <code>drop all except flashlight</code> - Act on several things</li>
+        <li><code>take it</code>, <code>drop them</code> - Refer back to what you last mentioned</li>
+        <li><code>again</code> or <code>g</code> - Repeat your last command</li>
+      </ul>
     `;
   }
 
@@ -437,6 +492,65 @@ export class UIManager {
     }, 5000);
   }
 
+  // Dev mode: the server reloaded its content; use its rooms and catalogs
+  // instead of the copies fetched at startup
+  updateContent(content: { rooms?: any[]; items?: any[]; spells?: any[] }): void {
+    if (content.rooms) {
+      this.roomsData = content.rooms;
+      const room = this.roomsData.find(r => r.identity.id === this.currentRoomId);
+      if (room) {
+        this.statusBar.location.textContent = room.identity.canonicalName;
+      }
+      if (!document.getElementById('map-overlay')?.classList.contains('hidden')) {
+        this.renderMapSVG();
+      }
+    }
+
+    if (content.items) {
+      this.itemsData = new Map(content.items.map(item => [item.id, item]));
+      if (this.equipment) {
+        this.updateEquipment(this.equipment.items, this.equipment.inventory, this.equipment.flags);
+      }
+    }
+
+    if (content.spells) {
+      this.spellsData = new Map(content.spells.map(spell => [spell.id, spell]));
+      this.updateSpells(this.skills);
+    }
+  }
+
+  // Dev mode: list what the validator found in the content, or clear the
+  // list once a reload goes through
+  showContentIssues(files: string[], issues: any[]): void {
+    const panel = document.getElementById('dev-panel');
+    const title = document.getElementById('dev-panel-title');
+    const list = document.getElementById('dev-panel-issues');
+    if (!panel || !title || !list) return;
+
+    if (issues.length === 0) {
+      panel.classList.add('hidden');
+      this.showToast(`Content reloaded: ${files.join(', ')}`, 'success');
+      return;
+    }
+
+    title.textContent = `${issues.length} problem${issues.length === 1 ? '' : 's'} in the content; the server kept the last valid version`;
+    list.innerHTML = '';
+    for (const issue of issues) {
+      const entry = document.createElement('li');
+      const location = document.createElement('span');
+      location.className = 'issue-location';
+      location.textContent = `${issue.file}:${issue.line}`;
+      entry.appendChild(location);
+      entry.appendChild(document.createTextNode(` ${issue.path ? `${issue.path}: ` : ''}${issue.message}`));
+      list.appendChild(entry);
+    }
+    panel.classList.remove('hidden');
+  }
+
+  hideDevPanel(): void {
+    document.getElementById('dev-panel')?.classList.add('hidden');
+  }
+
   private async loadRoomsData(): Promise<void> {
     try {
       const response = await fetch('/data/rooms/station_area.json');
@@ -446,6 +560,32 @@ export class UIManager {
     }
   }
 
+  // Item catalog, used for names of equipped items
+  private async loadItemsData(): Promise<void> {
+    try {
+      const response = await fetch('/data/items/station_items.json');
+      const items: any[] = await response.json();
+      this.itemsData = new Map(items.map(item => [item.id, item]));
+      if (this.equipment) {
+        this.updateEquipment(this.equipment.items, this.equipment.inventory, this.equipment.flags);
+      }
+    } catch (error) {
+      console.error('Failed to load items data:', error);
+    }
+  }
+
+  // Spell names and descriptions come from the same catalog the server uses
+  private async loadSpellsData(): Promise<void> {
+    try {
+      const response = await fetch('/data/spells/spells.json');
+      const spells: any[] = await response.json();
+      this.spellsData = new Map(spells.map(spell => [spell.id, spell]));
+      this.updateSpells(this.skills);
+    } catch (error) {
+      console.error('Failed to load spells data:', error);
+    }
+  }
+
   showMap(): void {
     const overlay = document.getElementById('map-overlay');
     if (!overlay) return;
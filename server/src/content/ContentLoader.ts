@@ -0,0 +1,106 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { GameEngine } from '../game/GameEngine.js';
+import type {
+  Room,
+  EnemyDefinition,
+  HazardDefinition,
+  StatusEffectDefinition,
+  SpellDefinition,
+  ItemDefinition,
+  WorldEventDefinition,
+  QuestDefinition,
+  HintDefinition,
+} from '../types/index.js';
+
+// Everything in the data directory
+export interface GameContent {
+  rooms: Room[];
+  enemies: EnemyDefinition[];
+  effects: StatusEffectDefinition[];
+  hazards: HazardDefinition[];
+  items: ItemDefinition[];
+  spells: SpellDefinition[];
+  events: WorldEventDefinition[];
+  quests: QuestDefinition[];
+  hints: HintDefinition[];
+}
+
+export function readRooms(dataDir: string): Room[] {
+  const roomsDir = path.join(dataDir, 'rooms');
+  const rooms: Room[] = [];
+
+  try {
+    if (fs.existsSync(roomsDir)) {
+      const files = fs.readdirSync(roomsDir);
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          const content = fs.readFileSync(path.join(roomsDir, file), 'utf-8');
+          const roomData = JSON.parse(content);
+
+          // Handle both single room and array of rooms
+          if (Array.isArray(roomData)) {
+            rooms.push(...roomData);
+          } else if (roomData.room) {
+            rooms.push(roomData.room);
+          } else {
+            rooms.push(roomData);
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error loading rooms:', error);
+  }
+
+  return rooms;
+}
+
+// Load every JSON file in a data subdirectory as a flat list of definitions
+export function readDataFiles<T>(dataDir: string, dirName: string): T[] {
+  const dir = path.join(dataDir, dirName);
+  const entries: T[] = [];
+
+  try {
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.json')) {
+          const content = fs.readFileSync(path.join(dir, file), 'utf-8');
+          const data = JSON.parse(content);
+          entries.push(...(Array.isArray(data) ? data : [data]));
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error loading ${dirName}:`, error);
+  }
+
+  return entries;
+}
+
+export function readContent(dataDir: string): GameContent {
+  return {
+    rooms: readRooms(dataDir),
+    enemies: readDataFiles<EnemyDefinition>(dataDir, 'enemies'),
+    effects: readDataFiles<StatusEffectDefinition>(dataDir, 'effects'),
+    hazards: readDataFiles<HazardDefinition>(dataDir, 'hazards'),
+    items: readDataFiles<ItemDefinition>(dataDir, 'items'),
+    spells: readDataFiles<SpellDefinition>(dataDir, 'spells'),
+    events: readDataFiles<WorldEventDefinition>(dataDir, 'events'),
+    quests: readDataFiles<QuestDefinition>(dataDir, 'quests'),
+    hints: readDataFiles<HintDefinition>(dataDir, 'hints'),
+  };
+}
+
+// Hand the content to an engine
+export async function loadContent(engine: GameEngine, content: GameContent): Promise<void> {
+  await engine.loadRooms(content.rooms);
+  await engine.loadEnemies(content.enemies);
+  await engine.loadEffects(content.effects);
+  await engine.loadHazards(content.hazards);
+  await engine.loadItems(content.items);
+  await engine.loadSpells(content.spells);
+  await engine.loadEvents(content.events);
+  await engine.loadQuests(content.quests);
+  await engine.loadHints(content.hints);
+}
@@ -0,0 +1,499 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { JsonSource, JsonSyntaxError } from './JsonSource.js';
+import { SchemaValidator } from './SchemaValidator.js';
+import type { ContentIssue, Room, RoomHook, RoomHookAction, RoomNPC, RoomObject } from '../types/index.js';
+
+type ContentKind = 'rooms' | 'items' | 'enemies' | 'effects' | 'hazards' | 'spells' | 'events' | 'quests' | 'hints';
+
+// Content directories, in loading order, with the schema of their entries
+// and what to call one in messages
+const CONTENT_KINDS: Array<{ kind: ContentKind; schema: string; noun: string }> = [
+  { kind: 'rooms', schema: 'room_schema.json#/definitions/room', noun: 'room' },
+  { kind: 'items', schema: 'content_schema.json#/definitions/item', noun: 'item' },
+  { kind: 'enemies', schema: 'content_schema.json#/definitions/enemy', noun: 'enemy' },
+  { kind: 'effects', schema: 'content_schema.json#/definitions/effect', noun: 'status effect' },
+  { kind: 'hazards', schema: 'content_schema.json#/definitions/hazard', noun: 'hazard' },
+  { kind: 'spells', schema: 'content_schema.json#/definitions/spell', noun: 'spell' },
+  { kind: 'events', schema: 'content_schema.json#/definitions/event', noun: 'event' },
+  { kind: 'quests', schema: 'content_schema.json#/definitions/quest', noun: 'quest' },
+  { kind: 'hints', schema: 'content_schema.json#/definitions/hint', noun: 'hint' },
+];
+
+// Params each hook action needs and may take (see HookRunner); every
+// action also takes `message` and `once`
+const HOOK_PARAMS: Record<RoomHookAction, { required: string[]; optional?: string[] }> = {
+  message: { required: ['message'] },
+  set_room_flag: { required: ['key'], optional: ['value', 'room'] },
+  set_flag: { required: ['key'], optional: ['value'] },
+  spawn_npc: { required: ['npc'], optional: ['room'] },
+  despawn_npc: { required: ['npc'], optional: ['room'] },
+  damage: { required: ['amount'] },
+  apply_effect: { required: ['effect'] },
+  grant_item: { required: ['item'] },
+  grant_skill: { required: ['skill'] },
+  grant_xp: { required: ['amount'] },
+  start_combat: { required: ['npc'] },
+};
+const COMMON_HOOK_PARAMS = ['message', 'once'];
+const NUMBER_PARAMS = ['amount'];
+const BOOLEAN_PARAMS = ['value', 'once'];
+
+const STAT_NAMES = ['Physical', 'Mental', 'Resilience'];
+// Condition terms that take no id (see ConditionEvaluator)
+const CONDITION_WORDS = ['always', 'darkness', 'light_present', 'in_combat', 'first_visit'];
+
+interface Entry {
+  kind: ContentKind;
+  file: string;
+  source: JsonSource;
+  index: number;
+  value: any;
+}
+
+// Checks every content file in the data directory: JSON syntax, the
+// schemas in schemas/, duplicate ids, and references between content (exit
+// targets and return exits, item, skill, effect and NPC ids, containers,
+// hook actions and condition terms). References are checked even in
+// entries that fail their schema, wherever the fields they sit in have the
+// right shape, so one mistake doesn't hide another.
+export class ContentValidator {
+  private schemas: SchemaValidator;
+  private issues: ContentIssue[] = [];
+  private entries: Entry[] = [];
+
+  // Ids of each kind of content, with the entry that defines them
+  private catalogs: Map<ContentKind, Map<string, Entry>> = new Map();
+  private objects: Map<string, { object: RoomObject; room: Room }> = new Map();
+  // Spells, plus skills granted by hooks and objects
+  private skills: Set<string> = new Set();
+
+  constructor(private dataDir: string, schemaDir: string) {
+    this.schemas = new SchemaValidator(schemaDir);
+  }
+
+  validate(): ContentIssue[] {
+    this.issues = [];
+    this.entries = [];
+    this.catalogs = new Map(CONTENT_KINDS.map(({ kind }) => [kind, new Map()]));
+    this.objects = new Map();
+    this.skills = new Set();
+
+    for (const { kind, schema, noun } of CONTENT_KINDS) {
+      this.loadKind(kind, schema, noun);
+    }
+    this.indexEntries();
+    if (this.catalogs.get('rooms')!.size === 0) {
+      this.issues.push({ file: 'rooms', line: 0, path: '', message: 'no rooms found' });
+    }
+
+    // A room needs its id for the objects in it to be found
+    for (const entry of this.entries) {
+      if (isRecord(entry.value) && (entry.kind !== 'rooms' || typeof this.idOf(entry) === 'string')) {
+        this.checkEntry(entry);
+      }
+    }
+
+    return this.issues.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  private loadKind(kind: ContentKind, schema: string, noun: string): void {
+    const dir = path.join(this.dataDir, kind);
+    if (!fs.existsSync(dir)) return;
+
+    for (const name of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+      const file = `${kind}/${name}`;
+      let source: JsonSource;
+      try {
+        source = new JsonSource(fs.readFileSync(path.join(dir, name), 'utf-8'));
+      } catch (error) {
+        if (!(error instanceof JsonSyntaxError)) throw error;
+        this.issues.push({ file, line: error.line, path: '', message: `invalid JSON: ${error.message}` });
+        continue;
+      }
+
+      if (!Array.isArray(source.value)) {
+        this.issues.push({ file, line: 1, path: '', message: `must hold a list of ${kind}` });
+        continue;
+      }
+
+      source.value.forEach((value, index) => {
+        const entry: Entry = { kind, file, source, index, value };
+        this.entries.push(entry);
+        for (const error of this.schemas.validate(value, schema)) {
+          this.report(entry, error.path, error.path === '' ? `${noun} ${error.message}` : error.message);
+        }
+      });
+    }
+  }
+
+  // Build the id catalogs, reporting ids defined more than once
+  private indexEntries(): void {
+    for (const entry of this.entries) {
+      const id = this.idOf(entry);
+      if (typeof id !== 'string') continue;
+
+      const catalog = this.catalogs.get(entry.kind)!;
+      const existing = catalog.get(id);
+      if (existing) {
+        const noun = CONTENT_KINDS.find(({ kind }) => kind === entry.kind)!.noun;
+        this.report(entry, entry.kind === 'rooms' ? 'identity.id' : 'id',
+          `duplicate ${noun} id "${id}" (first defined at ${this.locate(existing, '')})`);
+        continue;
+      }
+      catalog.set(id, entry);
+    }
+
+    for (const entry of this.catalogs.get('rooms')!.values()) {
+      const room = entry.value;
+      const npcIds = new Set<string>();
+      asArray(room.objects).forEach((object: any, index) => {
+        if (typeof object?.id !== 'string') return;
+        const existing = this.objects.get(object.id);
+        if (existing) {
+          this.report(entry, `objects[${index}].id`,
+            `duplicate object id "${object.id}" (also in ${existing.room.identity.id})`);
+          return;
+        }
+        this.objects.set(object.id, { object, room });
+        const ability = object.stateChanges?.ability_learned;
+        if (typeof ability === 'string') this.skills.add(ability);
+      });
+      asArray(room.npcs).forEach((npc: any, index) => {
+        if (typeof npc?.id !== 'string') return;
+        if (npcIds.has(npc.id)) {
+          this.report(entry, `npcs[${index}].id`, `duplicate NPC id "${npc.id}"`);
+        }
+        npcIds.add(npc.id);
+      });
+    }
+
+    for (const id of this.catalogs.get('spells')!.keys()) {
+      this.skills.add(id);
+    }
+    const hooks = [
+      ...[...this.catalogs.get('rooms')!.values()].flatMap(entry => Object.values(asRecord(entry.value.hooks)).flatMap(asArray)),
+      ...[...this.catalogs.get('events')!.values()].flatMap(entry => asArray(entry.value.actions)),
+    ];
+    for (const hook of hooks) {
+      if (hook?.action === 'grant_skill' && typeof hook.params?.skill === 'string') {
+        this.skills.add(hook.params.skill);
+      }
+    }
+  }
+
+  private checkEntry(entry: Entry): void {
+    const value = entry.value;
+    switch (entry.kind) {
+      case 'rooms':
+        this.checkRoom(entry, value);
+        break;
+      case 'items':
+        if (value.use?.applyEffect) this.checkId(entry, 'use.applyEffect', 'effects', value.use.applyEffect);
+        asArray(value.use?.cureEffects).forEach((effect, index) =>
+          this.checkId(entry, `use.cureEffects[${index}]`, 'effects', effect));
+        break;
+      case 'enemies':
+        if (isRecord(value.inflicts)) this.checkId(entry, 'inflicts.effect', 'effects', value.inflicts.effect);
+        break;
+      case 'hazards':
+        if (value.effect) this.checkId(entry, 'effect', 'effects', value.effect);
+        asArray(value.mitigation?.items).forEach((item, index) =>
+          this.checkId(entry, `mitigation.items[${index}]`, 'items', item));
+        asArray(value.mitigation?.skills).forEach((skill, index) =>
+          this.checkSkill(entry, `mitigation.skills[${index}]`, skill));
+        break;
+      case 'spells':
+        if (value.effect) this.checkId(entry, 'effect', 'effects', value.effect);
+        break;
+      case 'events':
+        this.checkCondition(entry, 'trigger', value.trigger);
+        asArray(value.actions).forEach((hook, index) => {
+          if (isRecord(hook)) this.checkHook(entry, `actions[${index}]`, hook as RoomHook);
+        });
+        break;
+      case 'quests': {
+        asArray(value.requires).forEach((quest, index) => {
+          if (quest === value.id) {
+            this.report(entry, `requires[${index}]`, 'quest requires itself');
+          } else {
+            this.checkId(entry, `requires[${index}]`, 'quests', quest);
+          }
+        });
+        const stepIds = new Set<string>();
+        asArray(value.steps).forEach((step, index) => {
+          if (!isRecord(step)) return;
+          if (stepIds.has(step.id)) {
+            this.report(entry, `steps[${index}].id`, `duplicate step id "${step.id}"`);
+          }
+          stepIds.add(step.id);
+          this.checkCondition(entry, `steps[${index}].condition`, step.condition);
+        });
+        break;
+      }
+      case 'hints':
+        asArray(value.rooms).forEach((room, index) => this.checkId(entry, `rooms[${index}]`, 'rooms', room));
+        this.checkCondition(entry, 'condition', value.condition);
+        break;
+    }
+  }
+
+  // Rooms may have failed their schema, so every field is checked for
+  // shape before use
+  private checkRoom(entry: Entry, room: any): void {
+    const roomId = room.identity?.id;
+
+    for (const [direction, exit] of Object.entries(asRecord(room.exits))) {
+      if (!isRecord(exit)) continue;
+      const at = `exits.${direction}`;
+      if (typeof exit.to === 'string') {
+        const target = this.catalogs.get('rooms')!.get(exit.to)?.value;
+        if (!target) {
+          this.report(entry, `${at}.to`, `exit "${direction}" leads to unknown room "${exit.to}"`);
+        } else if (!exit.oneWay && !Object.values(asRecord(target.exits)).some(back => back?.to === roomId)) {
+          this.report(entry, at,
+            `exit "${direction}" leads to ${exit.to}, which has no exit back; add one there or mark this exit oneWay`);
+        }
+      }
+
+      const requires = exit.requires;
+      if (requires?.type === 'item') this.checkId(entry, `${at}.requires.id`, 'items', requires.id);
+      if (requires?.type === 'skill') this.checkSkill(entry, `${at}.requires.id`, requires.id);
+      if (requires?.type === 'stat' && !STAT_NAMES.includes(requires.id)) {
+        this.report(entry, `${at}.requires.id`, `unknown stat "${requires.id}" (expected ${STAT_NAMES.join(', ')})`);
+      }
+
+      if (exit.door?.keyId) this.checkId(entry, `${at}.door.keyId`, 'items', exit.door.keyId);
+      asArray(exit.door?.objects).forEach((objectId, index) =>
+        this.checkObjectInRoom(entry, `${at}.door.objects[${index}]`, objectId, room));
+    }
+
+    asArray(room.objects).forEach((object, index) => {
+      if (isRecord(object)) this.checkObject(entry, `objects[${index}]`, object, room);
+    });
+
+    asArray(room.npcs).forEach((npc, index) => {
+      if (!isRecord(npc)) return;
+      const at = `npcs[${index}]`;
+      if (npc.hostile && !this.catalogs.get('enemies')!.has(npc.id)) {
+        this.report(entry, `${at}.id`, `hostile NPC "${npc.id}" has no enemy stats in data/enemies`);
+      }
+      asArray(npc.spawnConditions).forEach((condition, i) => this.checkCondition(entry, `${at}.spawnConditions[${i}]`, condition));
+      asArray(npc.despawnConditions).forEach((condition, i) => this.checkCondition(entry, `${at}.despawnConditions[${i}]`, condition));
+    });
+
+    for (const [event, hooks] of Object.entries(asRecord(room.hooks))) {
+      asArray(hooks).forEach((hook, index) => {
+        if (isRecord(hook)) this.checkHook(entry, `hooks.${event}[${index}]`, hook as RoomHook, room);
+      });
+    }
+
+    for (const [key, verb] of Object.entries(asRecord(room.specialVerbs))) {
+      if (!isRecord(verb)) continue;
+      const at = `specialVerbs.${key}`;
+      if (verb.targetId) this.checkObjectInRoom(entry, `${at}.targetId`, verb.targetId, room);
+      if (verb.requires?.item) this.checkId(entry, `${at}.requires.item`, 'items', verb.requires.item);
+      if (verb.requires?.skill) this.checkSkill(entry, `${at}.requires.skill`, verb.requires.skill);
+      if (verb.requires?.condition) this.checkCondition(entry, `${at}.requires.condition`, verb.requires.condition);
+    }
+  }
+
+  private checkObject(entry: Entry, at: string, object: any, room: Room): void {
+    if (object.item) {
+      this.checkId(entry, `${at}.item`, 'items', object.item);
+    } else if (object.takeable && !this.catalogs.get('items')!.has(object.id)) {
+      this.report(entry, `${at}.item`, `takeable object "${object.id}" has no item catalog entry; set "item"`);
+    }
+
+    if (typeof object.initialLocation === 'string' && object.initialLocation.startsWith('container:')) {
+      const containerId = object.initialLocation.slice('container:'.length);
+      const container = this.checkObjectInRoom(entry, `${at}.initialLocation`, containerId, room);
+      if (containerId === object.id) {
+        this.report(entry, `${at}.initialLocation`, `object "${object.id}" is inside itself`);
+      } else if (container && !container.container) {
+        this.report(entry, `${at}.initialLocation`, `"${containerId}" is not a container`);
+      }
+    }
+
+    if (object.container?.keyId) this.checkId(entry, `${at}.container.keyId`, 'items', object.container.keyId);
+
+    for (const [itemId, effect] of Object.entries(asRecord(object.useEffects))) {
+      this.checkId(entry, `${at}.useEffects.${itemId}`, 'items', itemId);
+      if (effect?.unlockExit) this.checkExit(entry, `${at}.useEffects.${itemId}.unlockExit`, effect.unlockExit, room);
+    }
+    for (const [spellId, effect] of Object.entries(asRecord(object.spellEffects))) {
+      this.checkId(entry, `${at}.spellEffects.${spellId}`, 'spells', spellId);
+      if (effect?.unlockExit) this.checkExit(entry, `${at}.spellEffects.${spellId}.unlockExit`, effect.unlockExit, room);
+    }
+  }
+
+  // Hook params and the rooms, NPCs, effects and objects they name. Event
+  // actions have no room of their own: they run wherever the player is.
+  private checkHook(entry: Entry, at: string, hook: RoomHook, room?: Room): void {
+    this.checkCondition(entry, `${at}.condition`, hook.condition);
+
+    // An unknown action is a schema error; its params can't be checked
+    if (!Object.hasOwn(HOOK_PARAMS, hook.action)) return;
+    const params = asRecord(hook.params) as Record<string, unknown>;
+    const { required, optional = [] } = HOOK_PARAMS[hook.action];
+    for (const key of required) {
+      if (params[key] === undefined) {
+        this.report(entry, `${at}.params`, `${hook.action} needs params.${key}`);
+      }
+    }
+    for (const [key, value] of Object.entries(params)) {
+      const paramAt = `${at}.params.${key}`;
+      if (![...required, ...optional, ...COMMON_HOOK_PARAMS].includes(key)) {
+        this.report(entry, paramAt, `${hook.action} takes no param "${key}"`);
+      } else if (NUMBER_PARAMS.includes(key) ? typeof value !== 'number'
+        : BOOLEAN_PARAMS.includes(key) ? typeof value !== 'boolean'
+        : typeof value !== 'string') {
+        const type = NUMBER_PARAMS.includes(key) ? 'a number' : BOOLEAN_PARAMS.includes(key) ? 'true or false' : 'a string';
+        this.report(entry, paramAt, `params.${key} must be ${type}`);
+      }
+    }
+
+    let targetRoom = room;
+    if (typeof params.room === 'string') {
+      targetRoom = this.checkId(entry, `${at}.params.room`, 'rooms', params.room)?.value;
+      if (!targetRoom) return;
+    }
+
+    switch (hook.action) {
+      case 'spawn_npc':
+      case 'despawn_npc':
+      case 'start_combat': {
+        if (typeof params.npc !== 'string') break;
+        const rooms = targetRoom ? [targetRoom] : [...this.catalogs.get('rooms')!.values()].map(room => room.value as Room);
+        const npc = rooms.flatMap(room => asArray(room.npcs) as RoomNPC[]).find(npc => npc?.id === params.npc);
+        if (!npc) {
+          this.report(entry, `${at}.params.npc`,
+            `unknown NPC "${params.npc}"${targetRoom ? ` in ${targetRoom.identity.id}` : ''}`);
+        } else if (hook.action === 'start_combat' && !this.catalogs.get('enemies')!.has(npc.id)) {
+          this.report(entry, `${at}.params.npc`, `NPC "${npc.id}" has no enemy stats in data/enemies`);
+        }
+        break;
+      }
+      case 'apply_effect':
+        if (typeof params.effect === 'string') this.checkId(entry, `${at}.params.effect`, 'effects', params.effect);
+        break;
+      case 'grant_item':
+        if (typeof params.item === 'string' && !this.objects.has(params.item)) {
+          this.report(entry, `${at}.params.item`, `unknown object "${params.item}"`);
+        }
+        break;
+    }
+  }
+
+  // The ids named in a condition's terms
+  private checkCondition(entry: Entry, at: string, condition: unknown): void {
+    if (typeof condition !== 'string') return;
+    for (const raw of condition.split(',')) {
+      const term = raw.trim().replace(/^!\s*/, '');
+      if (term === '' || CONDITION_WORDS.includes(term) || !term.includes(':')) continue;
+
+      const [kind, id, value] = term.split(':');
+      switch (kind) {
+        case 'flag':
+          break;
+        case 'room':
+          if (value !== undefined) this.checkId(entry, at, 'rooms', id);
+          break;
+        case 'in':
+        case 'visited':
+          this.checkId(entry, at, 'rooms', id);
+          break;
+        case 'item':
+          this.checkId(entry, at, 'items', id);
+          break;
+        case 'skill':
+          this.checkSkill(entry, at, id);
+          break;
+        case 'stat':
+          if (!STAT_NAMES.includes(id) || Number.isNaN(Number(value || 0))) {
+            this.report(entry, at, `bad condition "${term}" (expected stat:<${STAT_NAMES.join('|')}>:<min>)`);
+          }
+          break;
+        case 'turn':
+          if (Number.isNaN(Number(id || 0))) this.report(entry, at, `bad condition "${term}" (expected turn:<number>)`);
+          break;
+        default:
+          this.report(entry, at, `unknown condition "${term}"`);
+      }
+    }
+  }
+
+  private checkId(entry: Entry, at: string, kind: ContentKind, id: unknown): Entry | undefined {
+    if (typeof id !== 'string') return undefined;
+    const found = this.catalogs.get(kind)!.get(id);
+    if (!found) {
+      const noun = CONTENT_KINDS.find(content => content.kind === kind)!.noun;
+      this.report(entry, at, `unknown ${noun} "${id}"`);
+    }
+    return found;
+  }
+
+  private checkSkill(entry: Entry, at: string, skill: unknown): void {
+    if (typeof skill === 'string' && !this.skills.has(skill)) {
+      this.report(entry, at, `unknown skill "${skill}" (not a spell, and nothing grants it)`);
+    }
+  }
+
+  private checkObjectInRoom(entry: Entry, at: string, objectId: unknown, room: Room): RoomObject | undefined {
+    if (typeof objectId !== 'string') return undefined;
+    const found = this.objects.get(objectId);
+    if (!found) {
+      this.report(entry, at, `unknown object "${objectId}"`);
+    } else if (found.room !== room) {
+      this.report(entry, at, `object "${objectId}" is in ${found.room.identity.id}, not this room`);
+    }
+    return found?.object;
+  }
+
+  private checkExit(entry: Entry, at: string, direction: unknown, room: Room): void {
+    if (typeof direction === 'string' && !asRecord(room.exits)[direction]) {
+      this.report(entry, at, `no exit "${direction}" in this room`);
+    }
+  }
+
+  private idOf(entry: Entry): unknown {
+    return entry.kind === 'rooms' ? entry.value?.identity?.id : entry.value?.id;
+  }
+
+  private report(entry: Entry, at: string, message: string): void {
+    const id = this.idOf(entry);
+    const label = typeof id === 'string' ? id : `[${entry.index}]`;
+    this.issues.push({
+      file: entry.file,
+      line: entry.source.lineOf(joinPath(`[${entry.index}]`, at)),
+      path: at === '' ? label : `${label} ${at}`,
+      message,
+    });
+  }
+
+  private locate(entry: Entry, at: string): string {
+    return `${entry.file}:${entry.source.lineOf(joinPath(`[${entry.index}]`, at))}`;
+  }
+}
+
+// "file:line: path: message"
+export function formatIssue(issue: ContentIssue): string {
+  return `${issue.file}:${issue.line}: ${issue.path ? `${issue.path}: ` : ''}${issue.message}`;
+}
+
+function joinPath(base: string, at: string): string {
+  if (at === '') return base;
+  return at.startsWith('[') ? `${base}${at}` : `${base}.${at}`;
+}
+
+function asArray(value: unknown): any[] {
+  return Array.isArray(value) ? value : [];
+}
+
+function isRecord(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function asRecord(value: unknown): Record<string, any> {
+  return isRecord(value) ? value : {};
+}
@@ -0,0 +1,85 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type { GameEngine } from '../game/GameEngine.js';
+import type { ContentIssue } from '../types/index.js';
+import { ContentValidator, formatIssue } from './ContentValidator.js';
+import { readContent, loadContent, type GameContent } from './ContentLoader.js';
+
+// What a reload found
+export interface ContentReload {
+  // Changed files, relative to the data directory
+  files: string[];
+  issues: ContentIssue[];
+  // The content now loaded; undefined when the files had problems and the
+  // engine kept what it had
+  content?: GameContent;
+}
+
+// Data subdirectories the engine loads (see readContent)
+const CONTENT_DIRS = ['rooms', 'enemies', 'effects', 'hazards', 'items', 'spells', 'events', 'quests', 'hints'];
+// Editors save in several writes; reload once they have settled
+const SETTLE_MS = 250;
+
+// Dev mode: reloads the content into the running engine whenever a data file
+// changes. The files are validated first and only loaded if they are valid,
+// so a half-finished edit can't break the games in progress.
+export class ContentWatcher {
+  private watchers: fs.FSWatcher[] = [];
+  private changed: Set<string> = new Set();
+  private timer?: NodeJS.Timeout;
+  // Reloads run one at a time, in the order the changes came in
+  private reloading: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    private engine: GameEngine,
+    private dataDir: string,
+    private schemaDir: string,
+    private onReload: (reload: ContentReload) => void
+  ) {}
+
+  start(): void {
+    for (const dirName of CONTENT_DIRS) {
+      const dir = path.join(this.dataDir, dirName);
+      if (!fs.existsSync(dir)) continue;
+      this.watchers.push(fs.watch(dir, (_event, file) => {
+        if (file && file.endsWith('.json')) this.queue(`${dirName}/${file}`);
+      }));
+    }
+    console.log(`Watching ${this.dataDir} for content changes`);
+  }
+
+  stop(): void {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  private queue(file: string): void {
+    this.changed.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = [...this.changed].sort();
+      this.changed.clear();
+      this.reloading = this.reloading
+        .then(() => this.reload(files))
+        .catch(error => console.error('Content reload failed:', error));
+    }, SETTLE_MS);
+  }
+
+  async reload(files: string[]): Promise<ContentReload> {
+    const issues = fs.existsSync(this.schemaDir) ? new ContentValidator(this.dataDir, this.schemaDir).validate() : [];
+    const reload: ContentReload = { files, issues };
+
+    if (issues.length > 0) {
+      console.warn(`Not reloading content after changes to ${files.join(', ')}; ${issues.length} problem(s):`);
+      issues.forEach(issue => console.warn(`  ${formatIssue(issue)}`));
+    } else {
+      reload.content = readContent(this.dataDir);
+      await loadContent(this.engine, reload.content);
+      console.log(`Reloaded content after changes to ${files.join(', ')}`);
+    }
+
+    this.onReload(reload);
+    return reload;
+  }
+}
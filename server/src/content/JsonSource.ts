@@ -0,0 +1,146 @@
+// A parsed JSON file that remembers the line every value starts on, so
+// content errors can point at the line to fix.
+//
+// Values are addressed by path: "[2].exits.north.to" is the "to" of the
+// north exit of the third room in the file.
+
+export class JsonSyntaxError extends Error {
+  constructor(message: string, public line: number) {
+    super(message);
+  }
+}
+
+export class JsonSource {
+  private lines: Map<string, number> = new Map();
+  private pos = 0;
+  private line = 1;
+  readonly value: unknown;
+
+  // Throws a JsonSyntaxError if the text isn't valid JSON
+  constructor(private text: string) {
+    this.skipWhitespace();
+    this.value = this.parseValue('');
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      this.fail('unexpected text after the end of the JSON value');
+    }
+  }
+
+  // Line of the value at a path, or of its closest parent that exists
+  lineOf(path: string): number {
+    let current = path;
+    while (!this.lines.has(current) && current !== '') {
+      current = current.replace(/(^|\.)[^.[\]]*$|\[\d+\]$/, '');
+    }
+    return this.lines.get(current) ?? 1;
+  }
+
+  private parseValue(path: string): unknown {
+    this.lines.set(path, this.line);
+    const char = this.text[this.pos];
+
+    if (char === '{') return this.parseObject(path);
+    if (char === '[') return this.parseArray(path);
+    if (char === '"') return this.parseString();
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]] as const) {
+      if (this.text.startsWith(literal, this.pos)) {
+        this.pos += literal.length;
+        return value;
+      }
+    }
+
+    const number = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(this.text.slice(this.pos, this.pos + 64));
+    if (number) {
+      this.pos += number[0].length;
+      return Number(number[0]);
+    }
+    return this.fail(char === undefined ? 'unexpected end of file' : `unexpected "${char}"`);
+  }
+
+  private parseObject(path: string): Record<string, unknown> {
+    const result: Record<string, unknown> = {};
+    this.pos++;
+    this.skipWhitespace();
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      return result;
+    }
+
+    for (;;) {
+      if (this.text[this.pos] !== '"') this.fail('expected a property name in double quotes');
+      const keyLine = this.line;
+      const key = this.parseString();
+      if (key in result) {
+        throw new JsonSyntaxError(`duplicate property "${key}"`, keyLine);
+      }
+      this.skipWhitespace();
+      this.expect(':');
+      this.skipWhitespace();
+      result[key] = this.parseValue(path === '' ? key : `${path}.${key}`);
+      this.skipWhitespace();
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return result;
+      }
+      this.expect(',');
+      this.skipWhitespace();
+    }
+  }
+
+  private parseArray(path: string): unknown[] {
+    const result: unknown[] = [];
+    this.pos++;
+    this.skipWhitespace();
+    if (this.text[this.pos] === ']') {
+      this.pos++;
+      return result;
+    }
+
+    for (;;) {
+      result.push(this.parseValue(`${path}[${result.length}]`));
+      this.skipWhitespace();
+      if (this.text[this.pos] === ']') {
+        this.pos++;
+        return result;
+      }
+      this.expect(',');
+      this.skipWhitespace();
+    }
+  }
+
+  private parseString(): string {
+    const start = this.pos;
+    this.pos++;
+    while (this.text[this.pos] !== '"') {
+      if (this.pos >= this.text.length || this.text[this.pos] === '\n') {
+        this.fail('unterminated string');
+      }
+      this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+    }
+    this.pos++;
+
+    try {
+      return JSON.parse(this.text.slice(start, this.pos));
+    } catch {
+      return this.fail('invalid escape in string');
+    }
+  }
+
+  private skipWhitespace(): void {
+    while (this.pos < this.text.length && ' \t\r\n'.includes(this.text[this.pos])) {
+      if (this.text[this.pos] === '\n') this.line++;
+      this.pos++;
+    }
+  }
+
+  private expect(char: string): void {
+    if (this.text[this.pos] !== char) {
+      this.fail(this.pos >= this.text.length ? 'unexpected end of file' : `expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  private fail(message: string): never {
+    throw new JsonSyntaxError(message, this.line);
+  }
+}
@@ -0,0 +1,178 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// The part of JSON Schema (draft-07) the files in schemas/ use: $ref to
+// definitions in the same or another schema file, type, enum, oneOf,
+// required, properties, additionalProperties, minProperties, items,
+// minItems, minimum, maximum, minLength and pattern.
+export interface Schema {
+  $ref?: string;
+  type?: string | string[];
+  enum?: unknown[];
+  oneOf?: Schema[];
+  required?: string[];
+  properties?: Record<string, Schema>;
+  additionalProperties?: boolean | Schema;
+  minProperties?: number;
+  items?: Schema;
+  minItems?: number;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  pattern?: string;
+  definitions?: Record<string, Schema>;
+}
+
+export interface SchemaError {
+  // Path of the offending value, as used by JsonSource
+  path: string;
+  message: string;
+}
+
+export class SchemaValidator {
+  // Schema files by name, loaded on first reference
+  private files: Map<string, Schema> = new Map();
+
+  constructor(private schemaDir: string) {}
+
+  // Check a value against a schema file ("room_schema.json") or one of its
+  // definitions ("content_schema.json#/definitions/item")
+  validate(value: unknown, ref: string, basePath: string = ''): SchemaError[] {
+    const errors: SchemaError[] = [];
+    const [file] = ref.split('#');
+    this.check(value, this.resolve(ref, file), file, basePath, errors);
+    return errors;
+  }
+
+  private resolve(ref: string, currentFile: string): Schema {
+    const [fileName, pointer = ''] = ref.split('#');
+    const file = fileName || currentFile;
+    if (!this.files.has(file)) {
+      this.files.set(file, JSON.parse(fs.readFileSync(path.join(this.schemaDir, file), 'utf-8')));
+    }
+
+    let schema: any = this.files.get(file);
+    for (const part of pointer.split('/').filter(part => part.length > 0)) {
+      schema = schema?.[part];
+    }
+    if (!schema) {
+      throw new Error(`Schema reference "${ref}" not found`);
+    }
+    return schema;
+  }
+
+  private check(value: unknown, schema: Schema, file: string, at: string, errors: SchemaError[]): void {
+    if (schema.$ref) {
+      const refFile = schema.$ref.split('#')[0] || file;
+      this.check(value, this.resolve(schema.$ref, file), refFile, at, errors);
+      return;
+    }
+
+    const fail = (message: string) => errors.push({ path: at, message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail(`expected ${types.join(' or ')}, found ${describeType(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, found ${JSON.stringify(value)}`);
+      return;
+    }
+
+    if (schema.oneOf) {
+      // Report the errors of the closest alternative: the one that at least
+      // has the right type
+      const attempts = schema.oneOf.map(option => {
+        const optionErrors: SchemaError[] = [];
+        this.check(value, option, file, at, optionErrors);
+        return optionErrors;
+      });
+      const passed = attempts.filter(attempt => attempt.length === 0).length;
+      if (passed === 0) {
+        const closest = attempts.find(attempt => attempt.every(error => !error.message.startsWith('expected ')));
+        errors.push(...(closest || attempts[0]));
+      } else if (passed > 1) {
+        fail('matches more than one allowed form');
+      }
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        fail(`"${value}" does not match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}, found ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}, found ${value}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(item, schema.items!, file, `${at}[${index}]`, errors));
+      }
+    }
+
+    if (isRecord(value)) {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          fail(`missing required property "${key}"`);
+        }
+      }
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        fail(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = at === '' ? key : `${at}.${key}`;
+        const childSchema = schema.properties?.[key];
+        if (childSchema) {
+          this.check(child, childSchema, file, childPath, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: `unknown property "${key}"` });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.check(child, schema.additionalProperties, file, childPath, errors);
+        }
+      }
+    }
+  }
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'object':
+      return isRecord(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,719 @@
+import { createHash } from 'crypto';
+import { WorldState, PLAYER_LOCATION } from '../game/WorldState.js';
+import type { GameEngine } from '../game/GameEngine.js';
+import type { GameContent } from './ContentLoader.js';
+import type { CombatState, GameSession, PlayerState, Room, RoomHook, RoomObject, SpellEffect, WorldStateData } from '../types/index.js';
+
+// Hook actions whose only lasting effect is on the player's HP, XP or the
+// message log; which of them already fired makes no difference to progress
+const COSMETIC_HOOK_ACTIONS = ['message', 'damage', 'grant_xp'];
+
+// Room flags the engine reads for doors, NPCs, once-hooks and effects that
+// work once per object
+const ENGINE_FLAG_PREFIXES = ['unlocked_', 'locked_', 'sealed_', 'spawned_', 'despawned_', 'hook_', 'used_', 'spell_'];
+
+// A fight still going after this many rounds is taken to never end
+const MAX_ROUNDS = 100;
+
+// How far the analysis got and what it found
+export interface SolvabilityReport {
+  states: number;
+  transitions: number;
+  // False when the search stopped at the state limit for some number of
+  // captured anchors; soft-locks and unreachable content are then only
+  // what was seen so far
+  complete: boolean;
+  // Rooms marked requiredForCompletion, with the fewest commands needed to
+  // first enter each (undefined if it can't be reached)
+  requiredRooms: Array<{ roomId: string; steps?: number }>;
+  unreachableRooms: string[];
+  // Takeable objects the player can never pick up
+  untakeableObjects: Array<{ objectId: string; roomId: string }>;
+  // Catalog items the player can never hold
+  unobtainableItems: string[];
+  // States from which the game can no longer be won: the commands that lead
+  // up to it, and the one that sealed it (several for a fight)
+  softLocks: Array<{ roomId: string; path: string[]; sealedBy: string[] }>;
+  // Shortest sequence of commands that wins, if there is one
+  walkthrough?: string[];
+}
+
+// Commands to try, and the same commands naming objects by id in case a
+// name turns out to be ambiguous. Probes only check that an object can be
+// taken, opening the containers around it first; the state they lead to
+// isn't explored.
+interface Candidate {
+  commands: string[];
+  byId: string[];
+  probe?: RoomObject;
+}
+
+// A state commands led to, and the commands
+interface Outcome {
+  session: GameSession;
+  commands: string[];
+}
+
+// Session state to resume from: everything processCommand reads or writes
+interface Snapshot {
+  player: PlayerState;
+  world: WorldStateData;
+  inCombat: boolean;
+  combat?: CombatState;
+}
+
+// Explores every state the game can reach from the starting room by running
+// commands through a real GameEngine, breadth first, so the first win found
+// is the shortest. Chance rolls come from the engine's random source; give
+// it a seeded one for repeatable results.
+//
+// A state is what decides progress: location, inventory, equipment, skills,
+// flags, room state, where objects lie, quest progress and pending world
+// events. HP, MP, XP and the message log are not part of it; between
+// commands the player is assumed to rest to full health and psionic energy.
+// Neither are flags no condition or requirement reads, skills nothing asks
+// for, events that only print, hurt or set such flags, and whether a
+// container is open or locked once nothing inside it is needed: they change
+// descriptions, not what the player can do.
+//
+// The game is won once every requiredForCompletion room has been entered
+// and every anchor quest is complete. The search stops after maxStates
+// states for each number of anchors captured, so content with more anchors
+// gets a budget for each.
+//
+// Commands tried in each state are the ones that can change it: moving,
+// taking, opening and unlocking things, using carried items and known spells
+// on the objects that react to them, examining objects that teach
+// something, the room's special verbs, equipping and lighting. Items nothing
+// asks for are only checked to be takeable: carrying them changes nothing,
+// and every combination of them would multiply the states. A fight is
+// played out within the command that started it, once by attacking until
+// it is won or lost and once by fleeing until the player gets away.
+//
+// Dropping an item only matters if the player can't walk back for it, and
+// trying every item in every room would multiply the states again. Instead,
+// whenever a command cuts the player off from rooms they could walk to,
+// each carried item is also tried left behind in one of those rooms.
+export class SolvabilityAnalyzer {
+  private rooms: Map<string, Room>;
+  private objects: Map<string, RoomObject> = new Map();
+  // Where each object starts out
+  private homes: Map<string, string> = new Map();
+  // Objects by the item id they give when taken
+  private objectsByItem: Map<string, RoomObject> = new Map();
+  // Flags named by a condition or requirement; the rest only pick
+  // description variants
+  private readFlags: Set<string> = new Set();
+  // Engine flags whose effect doesn't matter, per room: once-flags of
+  // cosmetic hooks and applied-flags of cosmetic object effects
+  private cosmeticFlags: Map<string, Set<string>> = new Map();
+  // Rooms whose visit is checked by a condition or needed to win
+  private trackedVisits: Set<string> = new Set();
+  // Items something asks for, and equipment
+  private progressItems: Set<string> = new Set();
+  // Skills something asks for, and spells
+  private progressSkills: Set<string> = new Set();
+  // Events whose actions are all cosmetic
+  private cosmeticEvents: Set<string> = new Set();
+  private requiredRooms: string[];
+  private anchorQuests: GameContent['quests'];
+
+  constructor(
+    private engine: GameEngine,
+    private content: GameContent,
+    private startRoom: string,
+    private maxStates: number = 200000
+  ) {
+    this.rooms = new Map(content.rooms.map(room => [room.identity.id, room]));
+    this.requiredRooms = content.rooms.filter(room => room.progression.requiredForCompletion).map(room => room.identity.id);
+    this.anchorQuests = content.quests.filter(quest => quest.type === 'anchor');
+
+    const conditions = [
+      ...content.rooms.flatMap(room => [
+        ...Object.values(room.hooks).flat().map(hook => hook.condition),
+        ...room.npcs.flatMap(npc => [...npc.spawnConditions, ...npc.despawnConditions]),
+        ...Object.values(room.specialVerbs).map(verb => verb.requires?.condition || ''),
+      ]),
+      ...content.events.flatMap(event => [event.trigger, ...event.actions.map(action => action.condition)]),
+      ...content.quests.flatMap(quest => quest.steps.map(step => step.condition)),
+    ];
+    for (const match of conditions.join(',').matchAll(/visited:([A-Za-z0-9_]+)/g)) {
+      this.trackedVisits.add(match[1]);
+    }
+    this.requiredRooms.forEach(roomId => this.trackedVisits.add(roomId));
+
+    for (const match of conditions.join(',').matchAll(/skill:([A-Za-z0-9_]+)/g)) {
+      this.progressSkills.add(match[1]);
+    }
+    for (const room of content.rooms) {
+      for (const exit of Object.values(room.exits)) {
+        if (exit.requires?.type === 'skill') this.progressSkills.add(exit.requires.id);
+      }
+      for (const verb of Object.values(room.specialVerbs)) {
+        if (verb.requires?.skill) this.progressSkills.add(verb.requires.skill);
+      }
+    }
+    for (const hazard of content.hazards) {
+      hazard.mitigation?.skills?.forEach(skillId => this.progressSkills.add(skillId));
+    }
+    content.spells.forEach(spell => this.progressSkills.add(spell.id));
+
+    for (const room of content.rooms) {
+      this.readConditionFlags([
+        ...Object.values(room.hooks).flat().map(hook => hook.condition),
+        ...room.npcs.flatMap(npc => [...npc.spawnConditions, ...npc.despawnConditions]),
+        ...Object.values(room.specialVerbs).map(verb => verb.requires?.condition || ''),
+      ]);
+      for (const exit of Object.values(room.exits)) {
+        if (exit.requires?.type === 'state') this.readFlags.add(exit.requires.id);
+      }
+      for (const verb of Object.values(room.specialVerbs)) {
+        if (verb.requires?.state) this.readFlags.add(verb.requires.state);
+      }
+      for (const object of room.objects) {
+        // Skills are learned once per room, remembered by a flag named after them
+        const skillId = object.stateChanges?.ability_learned;
+        if (skillId && this.progressSkills.has(skillId)) this.readFlags.add(skillId);
+      }
+    }
+    this.readConditionFlags(content.quests.flatMap(quest => quest.steps.map(step => step.condition)));
+
+    // An event's trigger only matters if the event does something that
+    // matters, which can depend on the flags other events' triggers read
+    let liveEvents: GameContent['events'] = [];
+    for (;;) {
+      const live = content.events.filter(event => !event.actions.every(action => this.isCosmeticHook(action)));
+      if (live.length === liveEvents.length) break;
+      liveEvents = live;
+      this.readConditionFlags(live.flatMap(event => [event.trigger, ...event.actions.map(action => action.condition)]));
+    }
+    content.events.filter(event => !liveEvents.includes(event)).forEach(event => this.cosmeticEvents.add(event.id));
+
+    for (const room of content.rooms) {
+      const flags = new Set<string>(['visited']);
+      for (const [event, hooks] of Object.entries(room.hooks)) {
+        hooks.forEach((hook, index) => {
+          if (this.isCosmeticHook(hook)) flags.add(`hook_${event}_${index}`);
+        });
+      }
+
+      for (const object of room.objects) {
+        this.objects.set(object.id, object);
+        this.homes.set(object.id, object.initialLocation === 'room' ? room.identity.id : object.initialLocation);
+        this.objectsByItem.set(object.item || object.id, object);
+
+        for (const [itemId, effect] of Object.entries(object.useEffects || {})) {
+          if (this.isCosmeticEffect(effect) && !effect.openContainer && !effect.consumeItem) {
+            flags.add(`used_${itemId}_${object.id}`);
+          }
+        }
+        for (const [spellId, effect] of Object.entries(object.spellEffects || {})) {
+          if (this.isCosmeticEffect(effect)) flags.add(`spell_${spellId}_${object.id}`);
+        }
+      }
+      this.cosmeticFlags.set(room.identity.id, flags);
+    }
+
+    for (const match of conditions.join(',').matchAll(/item:([A-Za-z0-9_]+)/g)) {
+      this.progressItems.add(match[1]);
+    }
+    for (const room of content.rooms) {
+      for (const exit of Object.values(room.exits)) {
+        if (exit.requires?.type === 'item') this.progressItems.add(exit.requires.id);
+        if (exit.door?.keyId) this.progressItems.add(exit.door.keyId);
+      }
+      for (const object of room.objects) {
+        if (object.container?.keyId) this.progressItems.add(object.container.keyId);
+        for (const [itemId, effect] of Object.entries(object.useEffects || {})) {
+          if (!this.isCosmeticEffect(effect) || effect.openContainer) this.progressItems.add(itemId);
+        }
+      }
+      for (const verb of Object.values(room.specialVerbs)) {
+        if (verb.requires?.item) this.progressItems.add(verb.requires.item);
+      }
+    }
+    for (const hazard of content.hazards) {
+      hazard.mitigation?.items?.forEach(itemId => this.progressItems.add(itemId));
+    }
+    for (const item of content.items) {
+      if (item.equipmentSlot) this.progressItems.add(item.id);
+    }
+  }
+
+  private readConditionFlags(conditions: string[]): void {
+    for (const term of conditions.join(',').split(',')) {
+      const [kind, id, value] = term.trim().replace(/^!\s*/, '').split(':');
+      if (kind === 'flag') this.readFlags.add(id);
+      else if (kind === 'room') this.readFlags.add(value ?? id);
+      else if (id === undefined && kind) this.readFlags.add(kind);
+    }
+  }
+
+  private isCosmeticHook(hook: RoomHook): boolean {
+    if (hook.action === 'set_flag' || hook.action === 'set_room_flag') {
+      return !this.readFlags.has(String(hook.params?.key));
+    }
+    return COSMETIC_HOOK_ACTIONS.includes(hook.action);
+  }
+
+  private isCosmeticEffect(effect: SpellEffect): boolean {
+    return !effect.unlockExit &&
+      Object.keys({ ...effect.roomState, ...effect.flags }).every(key => !this.readFlags.has(key));
+  }
+
+  // Whether a room flag can change what happens next
+  private isTrackedFlag(roomId: string, key: string): boolean {
+    if (this.cosmeticFlags.get(roomId)?.has(key)) return false;
+    return this.readFlags.has(key) || ENGINE_FLAG_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  async analyze(): Promise<SolvabilityReport> {
+    const ids: Map<string, number> = new Map();
+    const parents: number[] = [];
+    // Commands leading to each state from its parent
+    const commands: string[][] = [];
+    const depths: number[] = [];
+    const locations: string[] = [];
+    const reachedRooms: Set<string> = new Set();
+    // Commands leading out of each state, by the state they lead to
+    const successors: Array<Map<number, string[]>> = [];
+    const wins: number[] = [];
+    const firstVisits: Map<string, number> = new Map();
+    const takenObjects: Set<string> = new Set();
+    const heldItems: Set<string> = new Set();
+    // States found for each number of anchors captured
+    const found: number[] = [];
+    // States left unexplored at the limit
+    const unexpanded: number[] = [];
+    let transitions = 0;
+
+    const start = this.createSession();
+    const queue: Array<[number, string]> = [];
+
+    // Record a state the first time it is reached
+    const discover = (session: GameSession, parent: number, path: string[]): number => {
+      const key = this.stateKey(session);
+      const known = ids.get(key);
+      if (known !== undefined) return known;
+
+      const id = parents.length;
+      ids.set(key, id);
+      parents.push(parent);
+      commands.push(path);
+      depths.push(parent < 0 ? 0 : depths[parent] + path.length);
+      locations.push(session.player.location);
+      reachedRooms.add(session.player.location);
+      successors.push(new Map());
+
+      for (const roomId of session.player.visitedRooms) {
+        if (!firstVisits.has(roomId)) firstVisits.set(roomId, id);
+      }
+      for (const [objectId, location] of Object.entries(session.world.toJSON().objectLocations)) {
+        if (location === PLAYER_LOCATION) takenObjects.add(objectId);
+      }
+      session.player.inventory.forEach(item => heldItems.add(item.id));
+
+      if (this.isWon(session)) wins.push(id);
+
+      const anchors = this.anchorQuests.filter(quest => this.isQuestComplete(session, quest.id)).length;
+      found[anchors] = (found[anchors] ?? 0) + 1;
+      if (found[anchors] > this.maxStates) {
+        unexpanded.push(id);
+      } else {
+        queue.push([id, JSON.stringify(this.snapshot(session))]);
+      }
+      return id;
+    };
+
+    discover(start, -1, []);
+    for (let next = 0; next < queue.length; next++) {
+      const [id, snapshot] = queue[next];
+      queue[next] = [id, ''];
+
+      const link = ({ session, commands }: Outcome) => {
+        const successor = discover(session, id, commands);
+        if (successor !== id && !successors[id].has(successor)) {
+          successors[id].set(successor, commands);
+          transitions++;
+        }
+      };
+
+      const state = this.restore(snapshot);
+      const walkable = this.walkable(state);
+      for (const candidate of this.getCandidates(state)) {
+        if (candidate.probe && takenObjects.has(candidate.probe.id)) continue;
+        const outcomes = await this.follow(snapshot, candidate);
+        if (candidate.probe) {
+          if (outcomes.length > 0) {
+            takenObjects.add(candidate.probe.id);
+            heldItems.add(candidate.probe.item || candidate.probe.id);
+          }
+          continue;
+        }
+
+        for (const outcome of outcomes) {
+          link(outcome);
+
+          // A command that cuts the player off from rooms they could walk to
+          // strands whatever they left there. Try each carried item left
+          // behind in one of them, the room they were in if it is one.
+          const reachable = this.walkable(outcome.session);
+          const lost = [...walkable].filter(roomId => !reachable.has(roomId));
+          if (lost.length === 0) continue;
+          const room = lost.includes(state.player.location) ? state.player.location : lost[0];
+          for (const item of state.player.inventory) {
+            const left = await this.leaveBehind(snapshot, item.id, room);
+            if (!left) continue;
+            const drop = room === state.player.location ? `drop ${item.name.toLowerCase()}` : `drop ${item.name.toLowerCase()} in ${room}`;
+            for (const stranded of await this.follow(left, candidate)) {
+              link({ session: stranded.session, commands: [drop, ...stranded.commands] });
+            }
+          }
+        }
+      }
+    }
+
+    // Work back from the wins to find every state that can still win. States
+    // left unexpanded at the limit might, so whatever leads to them isn't
+    // reported as lost either.
+    const predecessors: number[][] = successors.map(() => []);
+    successors.forEach((targets, from) => targets.forEach((_, to) => predecessors[to].push(from)));
+    const reaching = (targets: number[]): Set<number> => {
+      const found = new Set(targets);
+      const pending = [...targets];
+      while (pending.length > 0) {
+        for (const from of predecessors[pending.pop()!]) {
+          if (!found.has(from)) {
+            found.add(from);
+            pending.push(from);
+          }
+        }
+      }
+      return found;
+    };
+    const winnable = reaching(wins);
+    const maybeWinnable = reaching([...wins, ...unexpanded]);
+
+    const pathTo = (id: number): string[] => {
+      const path: string[] = [];
+      for (let current = id; parents[current] >= 0; current = parents[current]) {
+        path.unshift(...commands[current]);
+      }
+      return path;
+    };
+
+    // Only the commands that take a winnable game to an unwinnable one; the
+    // states after them are lost too, and would repeat the same finding
+    const softLocks: SolvabilityReport['softLocks'] = [];
+    if (wins.length > 0) {
+      const seen = new Set<string>();
+      successors.forEach((targets, from) => {
+        if (!winnable.has(from)) return;
+        for (const [to, sealedBy] of targets) {
+          const finding = `${locations[from]} ${sealedBy.join(', ')}`;
+          if (maybeWinnable.has(to) || seen.has(finding)) continue;
+          seen.add(finding);
+          softLocks.push({ roomId: locations[from], path: pathTo(from), sealedBy });
+        }
+      });
+      softLocks.sort((a, b) => a.path.length - b.path.length);
+    }
+
+    const takeable = this.content.rooms.flatMap(room =>
+      room.objects.filter(object => object.takeable).map(object => ({ objectId: object.id, roomId: room.identity.id }))
+    );
+    const firstWin = wins.length > 0 ? Math.min(...wins) : undefined;
+
+    return {
+      states: parents.length,
+      transitions,
+      complete: unexpanded.length === 0,
+      requiredRooms: this.requiredRooms.map(roomId => ({
+        roomId,
+        steps: firstVisits.has(roomId) ? depths[firstVisits.get(roomId)!] : undefined,
+      })),
+      unreachableRooms: [...this.rooms.keys()].filter(roomId => !reachedRooms.has(roomId)),
+      untakeableObjects: takeable.filter(({ objectId }) => !takenObjects.has(objectId)),
+      unobtainableItems: this.content.items.map(item => item.id).filter(itemId => !heldItems.has(itemId)),
+      softLocks,
+      walkthrough: firstWin !== undefined ? pathTo(firstWin) : undefined,
+    };
+  }
+
+  // Where a candidate's commands lead from a state: nowhere if one of them
+  // fails, and each way a fight they start can end
+  private async follow(snapshot: string, candidate: Candidate): Promise<Outcome[]> {
+    let session = this.restore(snapshot);
+    let commands = candidate.commands;
+    let succeeded = await this.run(session, commands);
+    if (session.pendingCommand) {
+      session = this.restore(snapshot);
+      commands = candidate.byId;
+      succeeded = await this.run(session, commands);
+    }
+    if (!succeeded || session.pendingCommand) return [];
+    if (!session.inCombat) return [{ session, commands }];
+
+    const endings = await this.fightOut(JSON.stringify(this.snapshot(session)));
+    return endings.map(ending => ({ session: ending.session, commands: [...commands, ...ending.commands] }));
+  }
+
+  // Run commands in turn; false if one of them fails. Dying fails the
+  // command but respawns the player, which is a move.
+  private async run(session: GameSession, commands: string[]): Promise<boolean> {
+    for (const command of commands) {
+      const result = await this.engine.processCommand(session, command);
+      if ((!result.success && !result.died) || session.pendingCommand) return false;
+    }
+    return true;
+  }
+
+  // Each way a fight can end: attacking until it is won or lost, and
+  // fleeing until the player gets away or dies trying
+  private async fightOut(snapshot: string): Promise<Outcome[]> {
+    const endings: Outcome[] = [];
+    for (const verb of ['attack', 'flee']) {
+      const session = this.restore(snapshot);
+      const commands: string[] = [];
+      while (session.inCombat && commands.length < MAX_ROUNDS) {
+        await this.engine.processCommand(session, verb);
+        commands.push(verb);
+      }
+      if (!session.inCombat) endings.push({ session, commands });
+    }
+    return endings;
+  }
+
+  // Rooms the player could walk to from where they stand
+  private walkable(session: GameSession): Set<string> {
+    const rooms = new Set([session.player.location]);
+    const pending = [session.player.location];
+    while (pending.length > 0) {
+      const room = this.rooms.get(pending.pop()!);
+      for (const [direction, exit] of Object.entries(room?.exits || {})) {
+        if (room && !rooms.has(exit.to) && this.engine.isExitPassable(session, room, direction)) {
+          rooms.add(exit.to);
+          pending.push(exit.to);
+        }
+      }
+    }
+    return rooms;
+  }
+
+  // A state with a carried item dropped in another room, as if the player
+  // had left it there on the way
+  private async leaveBehind(snapshot: string, itemId: string, roomId: string): Promise<string | undefined> {
+    const session = this.restore(snapshot);
+    const location = session.player.location;
+    session.player.location = roomId;
+    const result = await this.engine.processCommand(session, `drop ${itemId}`);
+    session.player.location = location;
+    return result.success && !session.inCombat ? JSON.stringify(this.snapshot(session)) : undefined;
+  }
+
+  // A new game, as the server starts one
+  private createSession(): GameSession {
+    const session = this.restore(JSON.stringify({
+      player: this.engine.createNewPlayer('Analyst', this.startRoom),
+      world: this.engine.createWorldState().toJSON(),
+      inCombat: false,
+    }));
+    session.player.visitedRooms.push(this.startRoom);
+    this.engine.updateQuests(session);
+    return session;
+  }
+
+  private snapshot(session: GameSession): Snapshot {
+    return {
+      player: session.player,
+      world: session.world.toJSON(),
+      inCombat: session.inCombat,
+      combat: session.combat,
+    };
+  }
+
+  private restore(snapshot: string): GameSession {
+    const { player, world, inCombat, combat } = JSON.parse(snapshot) as Snapshot;
+    if (!inCombat) {
+      player.hp = player.maxHp;
+      player.mp = player.maxMp;
+      player.fatigue = 0;
+    }
+    return {
+      id: 'analysis',
+      socket: undefined as unknown as GameSession['socket'],
+      player,
+      world: new WorldState(world),
+      connected: true,
+      lastActivity: 0,
+      playerKey: 'analysis',
+      inCombat,
+      combat,
+    };
+  }
+
+  private isWon(session: GameSession): boolean {
+    return this.requiredRooms.every(roomId => session.player.visitedRooms.includes(roomId)) &&
+      this.anchorQuests.every(quest => this.isQuestComplete(session, quest.id));
+  }
+
+  private isQuestComplete(session: GameSession, questId: string): boolean {
+    const quest = this.content.quests.find(definition => definition.id === questId);
+    return !!quest && (session.world.getQuestProgress(questId) ?? 0) >= quest.steps.length;
+  }
+
+  // Whether something a player needs is inside a container, however deep
+  private holdsProgress(session: GameSession, containerId: string, depth: number = 0): boolean {
+    return depth < 10 && [...this.objects.values()].some(object =>
+      this.engine.getObjectLocation(session, object.id) === `container:${containerId}` &&
+      (this.progressItems.has(object.item || object.id) || this.holdsProgress(session, object.id, depth + 1))
+    );
+  }
+
+  // Everything about a session that decides what can happen next
+  private stateKey(session: GameSession): string {
+    const { player } = session;
+    const world = session.world.toJSON();
+
+    const roomStates = Object.entries(world.roomStates).sort().map(([roomId, state]) => {
+      const room = this.rooms.get(roomId);
+      const changed = Object.entries(state)
+        .filter(([key, value]) => this.isTrackedFlag(roomId, key) && value !== (room?.state[key] ?? false))
+        .map(([key, value]) => `${value ? '' : '!'}${key}`)
+        .sort();
+      return changed.length > 0 ? `${roomId}:${changed.join(',')}` : '';
+    }).filter(entry => entry.length > 0);
+
+    const objectStates = Object.entries(world.objectStates || {}).sort().map(([objectId, state]) => {
+      const container = this.objects.get(objectId)?.container;
+      if (container && !this.holdsProgress(session, objectId)) return '';
+      const defaults: Record<string, boolean> = { open: container?.open ?? false, locked: container?.locked ?? false };
+      const changed = Object.entries(state).filter(([key, value]) => value !== (defaults[key] ?? false));
+      return changed.length > 0 ? `${objectId}:${changed.map(([key, value]) => `${value ? '' : '!'}${key}`).sort().join(',')}` : '';
+    }).filter(entry => entry.length > 0);
+
+    const turn = world.turn || 0;
+    const key = JSON.stringify([
+      player.location,
+      player.inventory.map(item => `${item.id}*${item.quantity}`).sort(),
+      Object.entries(player.equippedItems).filter(([, itemId]) => itemId).sort(),
+      player.skills.filter(skillId => this.progressSkills.has(skillId)).sort(),
+      Object.keys(player.flags).filter(flag => player.flags[flag]).sort(),
+      player.visitedRooms.filter(roomId => this.trackedVisits.has(roomId)).sort(),
+      Object.keys(world.flags).filter(flag => world.flags[flag] && this.readFlags.has(flag)).sort(),
+      roomStates,
+      objectStates,
+      Object.entries(world.objectLocations).filter(([objectId, location]) => location !== this.homes.get(objectId)).sort(),
+      Object.entries(world.quests || {}).sort(),
+      Object.entries(world.scheduledEvents || {})
+        .filter(([eventId]) => !this.cosmeticEvents.has(eventId))
+        .map(([eventId, fireTurn]) => `${eventId}@${fireTurn - turn}`).sort(),
+      (world.firedEvents || []).filter(eventId => !this.cosmeticEvents.has(eventId)).sort(),
+    ]);
+    // Keys are kept for every state found; a digest keeps them small
+    return createHash('sha1').update(key).digest('base64');
+  }
+
+  // Commands that might change the state of a session
+  private getCandidates(session: GameSession): Candidate[] {
+    const room = this.engine.getCurrentRoom(session);
+    if (!room) return [];
+
+    const { player } = session;
+    const carried = player.inventory
+      .map(item => this.objectsByItem.get(item.id))
+      .filter((object): object is RoomObject => object !== undefined);
+    const carries = (itemId: string) => player.inventory.some(item => item.id === itemId);
+    const name = (object: RoomObject) => object.name.toLowerCase();
+    const candidates: Candidate[] = [];
+    const command = (text: string, byId: string = text) => candidates.push({ commands: [text], byId: [byId] });
+    const add = (verb: string, object: RoomObject, rest: string = '', restById: string = rest) =>
+      command(`${verb} ${name(object)}${rest}`, `${verb} ${object.id}${restById}`);
+
+    for (const [direction, exit] of Object.entries(room.exits)) {
+      command(`go ${direction}`);
+      if (exit.door?.keyId && carries(exit.door.keyId)) {
+        command(`unlock ${direction}`);
+      }
+    }
+
+    for (const object of this.engine.getRoomObjects(session, room)) {
+      if (object.takeable && this.progressItems.has(object.item || object.id)) add('take', object);
+      if (object.container) add('open', object);
+      if (object.container?.keyId && carries(object.container.keyId)) add('unlock', object);
+      if (object.stateChanges && Object.keys(object.stateChanges).length > 0) add('examine', object);
+
+      for (const itemId of Object.keys(object.useEffects || {})) {
+        const item = this.objectsByItem.get(itemId);
+        if (item && carries(itemId)) command(`use ${name(item)} on ${name(object)}`, `use ${itemId} on ${object.id}`);
+      }
+      for (const spellId of Object.keys(object.spellEffects || {})) {
+        if (!player.skills.includes(spellId)) continue;
+        const spell = this.content.spells.find(definition => definition.id === spellId);
+        command(`cast ${spell?.name.toLowerCase() ?? spellId} on ${name(object)}`, `cast ${spellId} on ${object.id}`);
+      }
+    }
+    candidates.push(...this.getProbes(session, room));
+
+    for (const verb of Object.keys(room.specialVerbs)) {
+      command(verb);
+    }
+    if (room.hooks.onLook.some(hook => !this.isCosmeticHook(hook))) {
+      command('look');
+    }
+
+    const equipped = Object.values(player.equippedItems);
+    for (const object of carried) {
+      const item = this.content.items.find(definition => definition.id === (object.item || object.id));
+      if (item?.equipmentSlot && !equipped.includes(item.id)) add('equip', object);
+      if (item?.equipmentSlot === 'light_source' && equipped.includes(item.id) && !player.flags[`${item.id}_on`]) {
+        add('light', object);
+      }
+    }
+
+    if (Object.keys(session.world.toJSON().scheduledEvents || {}).some(eventId => !this.cosmeticEvents.has(eventId))) {
+      command('wait');
+    }
+
+    return candidates;
+  }
+
+  // Taking each object in the room nothing asks for, opening (and if need
+  // be unlocking) the containers around it first
+  private getProbes(session: GameSession, room: Room): Candidate[] {
+    const probes: Candidate[] = [];
+    for (const object of this.objects.values()) {
+      if (!object.takeable || this.progressItems.has(object.item || object.id)) continue;
+
+      const containers: RoomObject[] = [];
+      let location = this.engine.getObjectLocation(session, object.id);
+      while (location?.startsWith('container:') && containers.length < 10) {
+        const container = this.objects.get(location.slice('container:'.length));
+        if (!container) break;
+        containers.unshift(container);
+        location = this.engine.getObjectLocation(session, container.id);
+      }
+      if (location !== room.identity.id) continue;
+
+      const commands: string[] = [];
+      const byId: string[] = [];
+      const step = (verb: string, target: RoomObject) => {
+        commands.push(`${verb} ${target.name.toLowerCase()}`);
+        byId.push(`${verb} ${target.id}`);
+      };
+      let reachable = true;
+      for (const container of containers) {
+        if (session.world.getObjectFlag(container.id, 'open', container.container?.open ?? false)) continue;
+        if (session.world.getObjectFlag(container.id, 'locked', container.container?.locked ?? false)) {
+          const keyId = container.container?.keyId;
+          reachable = !!keyId && session.player.inventory.some(item => item.id === keyId);
+          step('unlock', container);
+        }
+        step('open', container);
+      }
+      step('take', object);
+      if (reachable) probes.push({ commands, byId, probe: object });
+    }
+    return probes;
+  }
+}
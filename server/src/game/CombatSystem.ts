@@ -0,0 +1,157 @@
+import type {
+  CombatState,
+  CombatUpdate,
+  EnemyDefinition,
+  PlayerState,
+  RoomNPC,
+  SpellDefinition,
+} from '../types/index.js';
+import { getEffectiveStat, type StatusEffectSystem } from './StatusEffectSystem.js';
+import type { RandomSource } from './random.js';
+
+// Stat block used when an NPC has no entry in the enemy catalog
+const FALLBACK_ENEMY: Omit<EnemyDefinition, 'id' | 'name'> = {
+  category: 'creature',
+  hp: 20,
+  damage: 5,
+  defense: 0,
+  accuracy: 0.7,
+};
+
+// Chance for the player's attacks to connect
+const PLAYER_ACCURACY = 0.85;
+
+export interface WeaponStats {
+  name: string;
+  damage: number;
+}
+
+// Turn-based combat rules. The engine owns the session and world changes;
+// this class only resolves attacks and keeps the enemy stat blocks.
+export class CombatSystem {
+  private enemies: Map<string, EnemyDefinition> = new Map();
+
+  constructor(private effects: StatusEffectSystem, private random: RandomSource) {}
+
+  loadEnemies(enemyData: EnemyDefinition[]): void {
+    this.enemies.clear();
+    for (const enemy of enemyData) {
+      this.enemies.set(enemy.id, enemy);
+    }
+    console.log(`Loaded ${this.enemies.size} enemies`);
+  }
+
+  getEnemy(enemyId: string): EnemyDefinition | undefined {
+    return this.enemies.get(enemyId);
+  }
+
+  // Begin an encounter with a room NPC
+  createCombat(npc: RoomNPC, roomId: string): CombatState {
+    const enemy = this.enemies.get(npc.id);
+    if (!enemy) {
+      console.warn(`No enemy stat block for "${npc.id}", using fallback stats`);
+    }
+    const stats = enemy || { ...FALLBACK_ENEMY, id: npc.id, name: npc.name };
+
+    return {
+      npcId: npc.id,
+      roomId,
+      name: stats.name,
+      hp: stats.hp,
+      maxHp: stats.hp,
+      damage: stats.damage,
+      defense: stats.defense,
+      accuracy: stats.accuracy,
+      attackMessages: stats.attackMessages || [],
+      defeatMessage: stats.defeatMessage,
+      inflicts: stats.inflicts,
+      round: 1,
+    };
+  }
+
+  // Resolve the player's attack against the enemy
+  playerAttack(combat: CombatState, player: PlayerState, weapon?: WeaponStats): string[] {
+    if (this.random() > PLAYER_ACCURACY) {
+      return [`You swing at the ${combat.name} and miss.`];
+    }
+
+    const attack = Math.floor(getEffectiveStat(player, 'Physical') / 2) + (weapon?.damage || 0) + this.roll(2);
+    const damage = Math.max(1, attack - combat.defense);
+    combat.hp = Math.max(0, combat.hp - damage);
+
+    const means = weapon ? `with the ${weapon.name}` : 'with your fists';
+    return [`You strike the ${combat.name} ${means} for ${damage} damage.`];
+  }
+
+  // Resolve a spell cast at the enemy, or raise a shield against it
+  castSpell(combat: CombatState, spell: SpellDefinition, power: number): string[] {
+    const message = spell.combat!.message.replace('{enemy}', combat.name);
+
+    if (spell.combat!.type === 'shield') {
+      combat.shield = (combat.shield || 0) + power;
+      return [message, `(Shield: ${combat.shield})`];
+    }
+
+    const damage = Math.max(1, power - Math.floor(combat.defense / 2));
+    combat.hp = Math.max(0, combat.hp - damage);
+    return [`${message} It deals ${damage} damage.`];
+  }
+
+  // Resolve the enemy's turn against the player
+  enemyAttack(combat: CombatState, player: PlayerState): string[] {
+    const log: string[] = [];
+    const flavor = combat.attackMessages[Math.floor(this.random() * combat.attackMessages.length)];
+    if (flavor) log.push(flavor);
+
+    if (this.random() > combat.accuracy) {
+      log.push(`The ${combat.name} misses you.`);
+      return log;
+    }
+
+    const mitigation = Math.floor(getEffectiveStat(player, 'Resilience') / 5);
+    let damage = Math.max(1, combat.damage + this.roll(2) - mitigation);
+
+    if (combat.shield) {
+      const absorbed = Math.min(combat.shield, damage);
+      combat.shield -= absorbed;
+      damage -= absorbed;
+      log.push(combat.shield > 0
+        ? `Your shield absorbs ${absorbed} damage.`
+        : `Your shield absorbs ${absorbed} damage and collapses.`);
+      if (damage === 0) return log;
+    }
+
+    player.hp = Math.max(0, player.hp - damage);
+    log.push(`The ${combat.name} hits you for ${damage} damage.`);
+
+    const inflicts = combat.inflicts;
+    if (inflicts && player.hp > 0 && this.random() < inflicts.chance) {
+      log.push(...this.effects.apply(player, inflicts.effect));
+    }
+    return log;
+  }
+
+  // Chance to escape improves with Physical
+  attemptFlee(player: PlayerState): boolean {
+    const chance = Math.min(0.9, Math.max(0.2, 0.5 + (getEffectiveStat(player, 'Physical') - 10) * 0.05));
+    return this.random() < chance;
+  }
+
+  // Build the payload for the client's combat overlay
+  toUpdate(combat: CombatState, log: string[], result?: CombatUpdate['result']): CombatUpdate {
+    return {
+      enemy: {
+        id: combat.npcId,
+        name: combat.name,
+        hp: combat.hp,
+        maxHp: combat.maxHp,
+      },
+      log,
+      result,
+    };
+  }
+
+  private roll(max: number): number {
+    return Math.floor(this.random() * (max + 1));
+  }
+}
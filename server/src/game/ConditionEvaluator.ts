@@ -0,0 +1,88 @@
+import type { GameSession, PlayerStats, Room } from '../types/index.js';
+import { getEffectiveStat } from './StatusEffectSystem.js';
+
+export interface ConditionContext {
+  session: GameSession;
+  room: Room;
+  // Whether the room is lit for the player (room light or a lit light source)
+  lit: boolean;
+  // True while the player is entering the room for the first time
+  firstVisit?: boolean;
+}
+
+// Condition strings shared by room hooks and NPC spawn rules. A condition is
+// a comma-separated list of terms that must all hold; "!" negates a term.
+//
+//   always, darkness, light_present, in_combat, first_visit
+//   flag:<key>           world flag
+//   room:<key>           state flag of the current room
+//   room:<roomId>:<key>  state flag of another room
+//   in:<roomId>          the player is in that room
+//   item:<id>            carried or equipped item
+//   skill:<id>           learned skill
+//   visited:<roomId>     room visited before
+//   stat:<name>:<min>    stat at or above a minimum, after status effects
+//   turn:<min>           the world clock has reached a turn
+//   <key>                room flag or world flag
+export class ConditionEvaluator {
+  // Room definitions supply the initial state for other rooms' flags
+  constructor(private getRoom: (roomId: string) => Room | undefined) {}
+
+  check(condition: string | string[] | undefined, ctx: ConditionContext): boolean {
+    const terms = Array.isArray(condition) ? condition : (condition || '').split(',');
+    return terms
+      .map(term => term.trim())
+      .filter(term => term.length > 0)
+      .every(term => term.startsWith('!')
+        ? !this.checkTerm(term.slice(1).trim(), ctx)
+        : this.checkTerm(term, ctx));
+  }
+
+  private checkTerm(term: string, ctx: ConditionContext): boolean {
+    const { session, room } = ctx;
+    const player = session.player;
+
+    switch (term) {
+      case 'always':
+        return true;
+      case 'darkness':
+        return !ctx.lit;
+      case 'light_present':
+        return ctx.lit;
+      case 'in_combat':
+        return session.inCombat;
+      case 'first_visit':
+        return ctx.firstVisit || false;
+    }
+
+    const [kind, id, value] = term.split(':');
+    switch (kind) {
+      case 'flag':
+        return session.world.getFlag(id);
+      case 'room':
+        return value === undefined
+          ? this.getRoomFlag(ctx, id)
+          : session.world.getRoomFlag(id, value, this.getRoom(id)?.state[value] ?? false);
+      case 'in':
+        return room.identity.id === id;
+      case 'item':
+        return player.inventory.some(item => item.id === id) ||
+          Object.values(player.equippedItems).includes(id);
+      case 'skill':
+        return player.skills.includes(id);
+      case 'visited':
+        return player.visitedRooms.includes(id);
+      case 'stat':
+        return id in player.stats && getEffectiveStat(player, id as keyof PlayerStats) >= Number(value || 0);
+      case 'turn':
+        return session.world.getTurn() >= Number(id || 0);
+    }
+
+    return this.getRoomFlag(ctx, term) || session.world.getFlag(term);
+  }
+
+  private getRoomFlag(ctx: ConditionContext, key: string): boolean {
+    const room = ctx.room;
+    return ctx.session.world.getRoomFlag(room.identity.id, key, room.state[key] ?? false);
+  }
+}
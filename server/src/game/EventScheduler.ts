@@ -0,0 +1,61 @@
+import type { WorldEventDefinition } from '../types/index.js';
+import type { ConditionContext, ConditionEvaluator } from './ConditionEvaluator.js';
+import type { HookOutcome, HookRunner } from './HookRunner.js';
+
+// Timed world events (data/events). Each turn, events whose trigger holds
+// are scheduled, and events that are due run their actions through the
+// hook runner. Pending and fired events are kept in the session's world
+// state, so they survive saving.
+export class EventScheduler {
+  private events: Map<string, WorldEventDefinition> = new Map();
+
+  constructor(
+    private conditions: ConditionEvaluator,
+    private hooks: HookRunner
+  ) {}
+
+  loadEvents(eventData: WorldEventDefinition[]): void {
+    this.events.clear();
+    for (const event of eventData) {
+      this.events.set(event.id, event);
+    }
+    console.log(`Loaded ${this.events.size} world events`);
+  }
+
+  getEvent(eventId: string): WorldEventDefinition | undefined {
+    return this.events.get(eventId);
+  }
+
+  // Run the scheduler for the turn the world clock is on
+  tick(ctx: ConditionContext): HookOutcome[] {
+    const world = ctx.session.world;
+    const turn = world.getTurn();
+    const outcomes: HookOutcome[] = [];
+
+    for (const event of this.events.values()) {
+      if (world.hasEventFired(event.id)) continue;
+
+      let due = world.getScheduledEvent(event.id);
+      if (due === undefined) {
+        if (!this.conditions.check(event.trigger, ctx)) continue;
+        due = turn + event.delay;
+        world.scheduleEvent(event.id, due);
+      }
+      if (due > turn) continue;
+
+      if (!event.repeat) {
+        world.markEventFired(event.id);
+      } else if (this.conditions.check(event.trigger, ctx)) {
+        world.scheduleEvent(event.id, turn + event.repeat);
+      } else {
+        // The trigger lapsed; the event waits to be triggered again
+        world.cancelEvent(event.id);
+        continue;
+      }
+
+      outcomes.push(this.hooks.runHooks(event.actions, ctx, `event_${event.id}`));
+    }
+
+    return outcomes;
+  }
+}
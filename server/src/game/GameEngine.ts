@@ -1,6 +1,52 @@
-import type { Room, PlayerState, GameConfig, RoomExit } from '../types/index.js';
+import type {
+  Room,
+  PlayerState,
+  GameConfig,
+  RoomExit,
+  RoomObject,
+  RoomNPC,
+  EnemyDefinition,
+  HazardDefinition,
+  StatusEffect,
+  StatusEffectDefinition,
+  WorldEventDefinition,
+  QuestDefinition,
+  HintDefinition,
+  SaveFile,
+  QuestLog,
+  SpellDefinition,
+  SpellEffect,
+  SpecialVerbRequirement,
+  ItemDefinition,
+  InventoryItem,
+} from '../types/index.js';
 import { CommandParser } from '../parser/CommandParser.js';
-import type { GameSession, ParsedCommand, CommandResult } from '../types/index.js';
+import { closestMatches } from '../parser/spelling.js';
+import { WorldState, PLAYER_LOCATION } from './WorldState.js';
+import { CombatSystem, type WeaponStats } from './CombatSystem.js';
+import { HazardSystem } from './HazardSystem.js';
+import { StatusEffectSystem } from './StatusEffectSystem.js';
+import { SpellSystem } from './SpellSystem.js';
+import { ItemCatalog } from './ItemCatalog.js';
+import { ConditionEvaluator, type ConditionContext } from './ConditionEvaluator.js';
+import { HookRunner, type HookEvent, type HookOutcome } from './HookRunner.js';
+import { EventScheduler } from './EventScheduler.js';
+import { ProgressionSystem } from './ProgressionSystem.js';
+import { QuestTracker } from './QuestTracker.js';
+import { HintSystem } from './HintSystem.js';
+import { SaveStore, SaveOwnerError, type SaveOwner } from './SaveStore.js';
+import { VerbRegistry } from './VerbRegistry.js';
+import { SaveCodec, SAVE_VERSION, loadSaveSecret } from './SaveCodec.js';
+import type { RandomSource } from './random.js';
+import type {
+  GameSession,
+  ParsedCommand,
+  CommandResult,
+  PendingCommand,
+  ParserContext,
+  ObjectScope,
+  VerbHandler,
+} from '../types/index.js';
 
 // Default game configuration
 const DEFAULT_CONFIG: GameConfig = {
@@ -12,27 +58,407 @@ const DEFAULT_CONFIG: GameConfig = {
   deathMpPenalty: 10,
   restHpRecovery: 25,
   restMpRecovery: 15,
+  restTurns: 10,
+  recoveryInterval: 10,
+  passiveHpRecovery: 2,
+  passiveMpRecovery: 2,
+  xpRoomDiscovery: 25,
+  xpAbilityLearned: 150,
+  levelHpGain: 10,
+  levelMpGain: 5,
+  levelStatGain: 1,
+  anchorCount: 5,
+  autosave: true,
 };
 
+// Most turns a single wait command can skip
+const MAX_WAIT_TURNS = 50;
+
+const STARTING_ROOM = 'ROOM_001';
+
+// Save slot written whenever the player changes rooms
+const AUTOSAVE_SLOT = 'autosave';
+// Save slot used by a bare `save`
+const DEFAULT_SAVE_SLOT = 'quicksave';
+// Slot name on the signed copy of the game the client keeps for reconnecting
+const CLIENT_SAVE_SLOT = 'browser';
+
 export class GameEngine {
   private rooms: Map<string, Room> = new Map();
+  // Every room object by id, with the room that defines it
+  private objectIndex: Map<string, { object: RoomObject; roomId: string }> = new Map();
   private config: GameConfig;
+  private verbs: VerbRegistry;
   private parser: CommandParser;
-  private worldState: Map<string, boolean> = new Map();
-
-  constructor(config: Partial<GameConfig> = {}) {
+  private combat: CombatSystem;
+  private hazards: HazardSystem;
+  private effects: StatusEffectSystem;
+  private spells: SpellSystem;
+  private items: ItemCatalog;
+  private conditions: ConditionEvaluator;
+  private hooks: HookRunner;
+  private scheduler: EventScheduler;
+  private progression: ProgressionSystem;
+  private quests: QuestTracker;
+  private hints: HintSystem;
+  private saves: SaveStore;
+  private codec: SaveCodec;
+  // Skills rooms can teach besides spells, for validating saves
+  private learnableSkills: Set<string> = new Set();
+
+  // Chance rolls (combat, hazards) come from random; pass a seeded source
+  // for repeatable runs
+  constructor(config: Partial<GameConfig> = {}, saveDir: string = 'saves', random: RandomSource = Math.random) {
     this.config = { ...DEFAULT_CONFIG, ...config };
-    this.parser = new CommandParser();
+    this.verbs = new VerbRegistry();
+    this.parser = new CommandParser(this.verbs);
+    this.effects = new StatusEffectSystem();
+    this.combat = new CombatSystem(this.effects, random);
+    this.hazards = new HazardSystem(this.effects, random);
+    this.spells = new SpellSystem();
+    this.items = new ItemCatalog();
+    this.conditions = new ConditionEvaluator(roomId => this.rooms.get(roomId));
+    this.hooks = new HookRunner(this.conditions, this.effects);
+    this.scheduler = new EventScheduler(this.conditions, this.hooks);
+    this.progression = new ProgressionSystem(this.config);
+    this.quests = new QuestTracker(this.conditions, this.progression, this.config.anchorCount);
+    this.hints = new HintSystem(this.conditions);
+    this.saves = new SaveStore(saveDir);
+    this.codec = new SaveCodec(loadSaveSecret(saveDir), {
+      hasRoom: roomId => this.rooms.has(roomId),
+      hasItem: itemId => this.items.getItem(itemId) !== undefined,
+      hasSkill: skillId => this.spells.getSpell(skillId) !== undefined || this.learnableSkills.has(skillId),
+      hasEffect: effectId => this.effects.getEffect(effectId) !== undefined,
+    });
+    this.registerVerbs();
+  }
+
+  // Add a verb to the game. Its synonyms join the parser's vocabulary and
+  // its help lines the help text.
+  registerVerb(verb: VerbHandler): void {
+    this.verbs.register(verb);
+  }
+
+  // Verbs the parser accepts that no handler was registered for
+  getUnhandledVerbs(): string[] {
+    return this.verbs.getUnhandledVerbs();
+  }
+
+  // The built-in verbs
+  private registerVerbs(): void {
+    // Movement
+    this.registerVerb({
+      verbs: ['go'],
+      synonyms: {
+        walk: 'go', run: 'go', move: 'go', travel: 'go', head: 'go', enter: 'go', exit: 'go',
+        n: 'go north', north: 'go north', s: 'go south', south: 'go south',
+        e: 'go east', east: 'go east', w: 'go west', west: 'go west',
+        u: 'go up', up: 'go up', d: 'go down', down: 'go down',
+      },
+      help: ['go [direction]', 'north', 'south', 'east', 'west', 'up', 'down']
+        .map(usage => ({ category: 'Movement', usage })),
+      handler: (session, command) => this.handleGo(session, command),
+    });
+
+    // Looking and items
+    this.registerVerb({
+      verbs: ['look', 'examine'],
+      synonyms: { l: 'look', x: 'examine', inspect: 'examine' },
+      grammar: { nounScope: 'all' },
+      help: [{ category: 'Looking', usage: 'look' }, { category: 'Looking', usage: 'examine [object]' }],
+      handler: (session, command) => this.handleLook(session, command),
+    });
+    this.registerVerb({
+      verbs: ['take'],
+      synonyms: { get: 'take', grab: 'take', pick: 'take', pickup: 'take' },
+      grammar: {
+        noun: 'required', nounScope: 'room', allScope: 'room',
+        prepositions: ['from', 'off'], indirectScope: 'room',
+      },
+      help: [{ category: 'Items', usage: 'take [item]' }, { category: 'Containers', usage: 'take [item] from [container]' }],
+      handler: (session, command) => this.handleTake(session, command),
+    });
+    this.registerVerb({
+      verbs: ['drop'],
+      synonyms: { leave: 'drop' },
+      grammar: { noun: 'required', nounScope: 'carried', allScope: 'carried' },
+      help: [{ category: 'Items', usage: 'drop [item]' }],
+      handler: (session, command) => this.handleDrop(session, command),
+    });
+    this.registerVerb({
+      verbs: ['use'],
+      synonyms: {},
+      grammar: {
+        noun: 'required', nounScope: 'carried',
+        prepositions: ['on', 'onto', 'with', 'in', 'into', 'at'], indirectScope: 'room',
+      },
+      duringCombat: true,
+      help: [{ category: 'Items', usage: 'use [item] [on object]' }],
+      handler: (session, command) => this.handleUse(session, command),
+    });
+    this.registerVerb({
+      verbs: ['inventory'],
+      synonyms: { i: 'inventory', inv: 'inventory' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Items', usage: 'inventory' }],
+      handler: (session, command) => this.handleInventory(session, command),
+    });
+
+    // Containers and doors
+    this.registerVerb({
+      verbs: ['open'],
+      synonyms: {},
+      grammar: { noun: 'required', nounScope: 'room' },
+      help: [{ category: 'Containers', usage: 'open [container]' }, { category: 'Doors', usage: 'open [door]' }],
+      handler: (session, command) => this.handleOpen(session, command),
+    });
+    this.registerVerb({
+      verbs: ['close'],
+      synonyms: { shut: 'close' },
+      grammar: { noun: 'required', nounScope: 'room' },
+      help: [{ category: 'Containers', usage: 'close [container]' }],
+      handler: (session, command) => this.handleClose(session, command),
+    });
+    this.registerVerb({
+      verbs: ['put'],
+      synonyms: { place: 'put', insert: 'put' },
+      grammar: {
+        noun: 'required', nounScope: 'carried', allScope: 'carried',
+        prepositions: ['in', 'into', 'on', 'onto'], indirectObject: 'required', indirectScope: 'room',
+      },
+      help: [{ category: 'Containers', usage: 'put [item] in [container]' }],
+      handler: (session, command) => this.handlePut(session, command),
+    });
+    this.registerVerb({
+      verbs: ['unlock'],
+      synonyms: {},
+      grammar: { noun: 'required', nounScope: 'room', prepositions: ['with', 'using'], indirectScope: 'carried' },
+      help: [{ category: 'Doors', usage: 'unlock [door] (with [key])' }],
+      handler: (session, command) => this.handleUnlock(session, command),
+    });
+    this.registerVerb({
+      verbs: ['lock'],
+      synonyms: {},
+      grammar: { noun: 'required', nounScope: 'room', prepositions: ['with', 'using'], indirectScope: 'carried' },
+      help: [{ category: 'Doors', usage: 'lock [door]' }],
+      handler: (session, command) => this.handleLock(session, command),
+    });
+
+    // Equipment and light
+    this.registerVerb({
+      verbs: ['equip'],
+      synonyms: { wear: 'equip', wield: 'equip' },
+      grammar: { noun: 'required', nounScope: 'carried' },
+      help: [{ category: 'Equipment', usage: 'equip [item]' }],
+      handler: (session, command) => this.handleEquip(session, command),
+    });
+    this.registerVerb({
+      verbs: ['unequip'],
+      synonyms: { unwield: 'unequip', doff: 'unequip' },
+      grammar: { noun: 'required', nounScope: 'carried' },
+      help: [{ category: 'Equipment', usage: 'unequip [item]' }],
+      handler: (session, command) => this.handleUnequip(session, command),
+    });
+    this.registerVerb({
+      verbs: ['turn'],
+      synonyms: { rotate: 'turn' },
+      grammar: { noun: 'required', nounScope: 'all' },
+      help: [{ category: 'Light', usage: 'turn on [item]' }, { category: 'Light', usage: 'turn off [item]' }],
+      handler: (session, command) => this.handleTurn(session, command),
+    });
+    this.registerVerb({
+      verbs: ['light'],
+      synonyms: {},
+      grammar: { noun: 'required', nounScope: 'carried' },
+      help: [{ category: 'Light', usage: 'light [item]' }],
+      handler: (session, command) => this.handleLight(session, command),
+    });
+    this.registerVerb({
+      verbs: ['extinguish'],
+      synonyms: {},
+      grammar: { noun: 'required', nounScope: 'carried' },
+      help: [{ category: 'Light', usage: 'extinguish [item]' }],
+      handler: (session, command) => this.handleExtinguish(session, command),
+    });
+
+    // Combat and psionics
+    this.registerVerb({
+      verbs: ['attack'],
+      synonyms: { hit: 'attack', fight: 'attack', kill: 'attack', stab: 'attack', strike: 'attack' },
+      duringCombat: true,
+      help: [{ category: 'Combat', usage: 'attack' }],
+      handler: (session, command) => this.handleAttack(session, command),
+    });
+    this.registerVerb({
+      verbs: ['flee'],
+      synonyms: { retreat: 'flee' },
+      duringCombat: true,
+      help: [{ category: 'Combat', usage: 'flee' }],
+      handler: (session, command) => this.handleFlee(session, command),
+    });
+    this.registerVerb({
+      verbs: ['cast'],
+      synonyms: {},
+      grammar: { noun: 'required', prepositions: ['on', 'at'], indirectScope: 'room' },
+      duringCombat: true,
+      help: [{ category: 'Psionics', usage: 'cast [spell]' }, { category: 'Psionics', usage: 'cast [spell] on [object]' }],
+      handler: (session, command) => this.handleCast(session, command),
+    });
+
+    // Saving
+    this.registerVerb({
+      verbs: ['save'],
+      synonyms: {},
+      free: true,
+      help: [{ category: 'Saving', usage: 'save [name]' }],
+      handler: (session, command) => this.handleSave(session, command),
+    });
+    this.registerVerb({
+      verbs: ['load'],
+      synonyms: { restore: 'load' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Saving', usage: 'load [name]' }],
+      handler: (session, command) => this.handleLoad(session, command),
+    });
+    this.registerVerb({
+      verbs: ['saves'],
+      synonyms: {},
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Saving', usage: 'saves' }],
+      handler: (session, command) => this.handleSaves(session, command),
+    });
+    this.registerVerb({
+      verbs: ['export'],
+      synonyms: {},
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Saving', usage: 'export [name]' }],
+      handler: (session, command) => this.handleExport(session, command),
+    });
+
+    // Everything else
+    this.registerVerb({
+      verbs: ['objectives'],
+      synonyms: { objective: 'objectives', journal: 'objectives', quests: 'objectives', j: 'objectives' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Other', usage: 'objectives' }],
+      handler: (session, command) => this.handleObjectives(session, command),
+    });
+    this.registerVerb({
+      verbs: ['hint'],
+      synonyms: { hints: 'hint' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Other', usage: 'hint' }],
+      handler: (session, command) => this.handleHint(session, command),
+    });
+    this.registerVerb({
+      verbs: ['wait'],
+      synonyms: { z: 'wait' },
+      help: [{ category: 'Other', usage: 'wait [turns]' }],
+      handler: (session, command) => this.handleWait(session, command),
+    });
+    this.registerVerb({
+      verbs: ['rest'],
+      synonyms: { sleep: 'rest' },
+      help: [{ category: 'Other', usage: 'rest' }],
+      handler: (session, command) => this.handleRest(session, command),
+    });
+    this.registerVerb({
+      verbs: ['help'],
+      synonyms: { '?': 'help' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Other', usage: 'help' }],
+      handler: (session, command) => this.handleHelp(session, command),
+    });
+    this.registerVerb({
+      verbs: ['restart'],
+      synonyms: { reset: 'restart' },
+      free: true,
+      duringCombat: true,
+      help: [{ category: 'Other', usage: 'restart' }],
+      handler: (session, command) => this.handleRestart(session, command),
+    });
+
+    // Words players reach for that nothing handles yet. Knowing them keeps
+    // "look, push button" splitting into two commands and "push" from being
+    // taken for a misspelling; startup lists them as unhandled.
+    this.registerVerb({
+      verbs: [
+        'climb', 'jump', 'swim', 'dive', 'read', 'search', 'listen', 'smell', 'taste', 'remove',
+        'push', 'pull', 'press', 'break', 'touch', 'rub', 'burn', 'pour', 'fill', 'drink', 'eat',
+        'throw', 'raise', 'lower', 'ring', 'knock', 'wave', 'tie', 'untie', 'say', 'shout', 'ask',
+        'tell', 'talk', 'pray', 'think', 'quit', 'status', 'score', 'map',
+      ],
+      synonyms: { smash: 'break', toss: 'throw', speak: 'say', yell: 'shout', q: 'quit', stats: 'status' },
+    });
   }
 
-  // Load game data
+  // Load game data. Each load replaces what was loaded before, so content
+  // can be reloaded while sessions are running.
   async loadRooms(roomData: Room[]): Promise<void> {
+    this.rooms.clear();
+    this.objectIndex.clear();
+    this.learnableSkills.clear();
     for (const room of roomData) {
       this.rooms.set(room.identity.id, room);
+      for (const obj of room.objects) {
+        this.objectIndex.set(obj.id, { object: obj, roomId: room.identity.id });
+        const ability = obj.stateChanges?.ability_learned;
+        if (typeof ability === 'string') this.learnableSkills.add(ability);
+      }
+      for (const hook of Object.values(room.hooks || {}).flat()) {
+        if (hook.action === 'grant_skill') this.learnableSkills.add(String(hook.params?.skill));
+      }
     }
     console.log(`Loaded ${this.rooms.size} rooms`);
   }
 
+  // Load enemy stat blocks
+  async loadEnemies(enemyData: EnemyDefinition[]): Promise<void> {
+    this.combat.loadEnemies(enemyData);
+  }
+
+  // Load environmental hazard definitions
+  async loadHazards(hazardData: HazardDefinition[]): Promise<void> {
+    this.hazards.loadHazards(hazardData);
+  }
+
+  // Load status effect definitions
+  async loadEffects(effectData: StatusEffectDefinition[]): Promise<void> {
+    this.effects.loadEffects(effectData);
+  }
+
+  // Load timed world events
+  async loadEvents(eventData: WorldEventDefinition[]): Promise<void> {
+    this.scheduler.loadEvents(eventData);
+  }
+
+  // Load anchor quests and subquests
+  async loadQuests(questData: QuestDefinition[]): Promise<void> {
+    this.quests.loadQuests(questData);
+  }
+
+  // Load puzzle hints
+  async loadHints(hintData: HintDefinition[]): Promise<void> {
+    this.hints.loadHints(hintData);
+  }
+
+  // Load the item catalog
+  async loadItems(itemData: ItemDefinition[]): Promise<void> {
+    this.items.loadItems(itemData);
+  }
+
+  // Load the psionic spell catalog
+  async loadSpells(spellData: SpellDefinition[]): Promise<void> {
+    this.spells.loadSpells(spellData);
+  }
+
   // Create a new player
   createNewPlayer(name: string, startingRoom: string): PlayerState {
     return {
@@ -57,9 +483,15 @@ export class GameEngine {
       notes: [],
       visitedRooms: [],
       flags: {},
+      fatigue: 0,
     };
   }
 
+  // Create a fresh world state layer for a new or restarted session
+  createWorldState(): WorldState {
+    return new WorldState();
+  }
+
   // Get room by ID
   getRoom(roomId: string): Room | undefined {
     return this.rooms.get(roomId);
@@ -70,594 +502,2223 @@ export class GameEngine {
     return this.rooms.get(session.player.location);
   }
 
+  // Whether the player could go through one of a room's exits as things
+  // stand: doors, requirements and one-way passages
+  isExitPassable(session: GameSession, room: Room, direction: string): boolean {
+    const exit = room.exits[direction];
+    return !!exit && this.canUseExit(exit, session, room, direction).allowed;
+  }
+
   // Process a player command
   async processCommand(session: GameSession, input: string): Promise<CommandResult> {
-    const command = this.parser.parse(input);
+    // An answer to "Which do you mean?" resumes the command that asked it
+    const pending = session.pendingCommand;
+    session.pendingCommand = undefined;
+    if (pending) {
+      const answer = await this.answerWhich(session, pending, input);
+      if (answer) return answer;
+    }
+
+    const context = this.getParserContext(session);
+    const command = this.parser.parse(input, this.getSpecialVerbPhrases(session), context);
 
     if (!command.valid) {
+      const message = command.errorMessage || "I don't understand that command.";
       return {
         success: false,
-        message: command.errorMessage || "I don't understand that command.",
+        message: this.withSuggestion(session, command, message),
       };
     }
 
-    // Route to appropriate handler
-    switch (command.verb) {
-      case 'look':
-        return this.handleLook(session, command);
-      case 'go':
-        return this.handleGo(session, command);
-      case 'take':
-        return this.handleTake(session, command);
-      case 'drop':
-        return this.handleDrop(session, command);
-      case 'examine':
-        return this.handleExamine(session, command);
-      case 'inventory':
-        return this.handleInventory(session, command);
-      case 'use':
-        return this.handleUse(session, command);
-      case 'turn':
-        return this.handleTurn(session, command);
-      case 'light':
-        return this.handleLight(session, command);
-      case 'extinguish':
-        return this.handleExtinguish(session, command);
-      case 'open':
-        return this.handleOpen(session, command);
-      case 'close':
-        return this.handleClose(session, command);
-      case 'attack':
-        return this.handleAttack(session, command);
-      case 'cast':
-        return this.handleCast(session, command);
-      case 'rest':
-        return this.handleRest(session, command);
-      case 'help':
-        return this.handleHelp(session, command);
-      case 'restart':
-        return this.handleRestart(session, command);
-      case 'equip':
-        return this.handleEquip(session, command);
-      case 'unequip':
-        return this.handleUnequip(session, command);
-      default:
-        return {
-          success: false,
-          message: `I don't know how to "${command.verb}".`,
-        };
-    }
+    context.lastCommand = command;
+    return this.runCommand(session, command);
   }
 
-  // Generate room description
-  getRoomDescription(room: Room, player: PlayerState, verbose: boolean = false): string {
-    const hasLight = this.hasLight(room, player);
-
-    // If room is dark and player has no light source, show dark description
-    if (!hasLight) {
-      return room.descriptions.dark;
+  // Process a line of input that may chain several commands ("take medkit.
+  // n then turn on flashlight"). Results are in order; the chain stops at a
+  // command that starts combat, kills the player or asks a question.
+  async processInput(session: GameSession, input: string): Promise<CommandResult[]> {
+    const results: CommandResult[] = [];
+    for (const text of this.parser.split(input, this.getSpecialVerbPhrases(session))) {
+      const result = await this.processCommand(session, text);
+      results.push(result);
+      if (result.combatTriggered || result.died || session.pendingCommand) break;
     }
+    return results.length > 0 ? results : [await this.processCommand(session, input)];
+  }
 
-    // Room is lit (either naturally or by player's light source)
-    const visited = player.visitedRooms.includes(room.identity.id);
-    let description: string;
-
-    // If room's natural lighting is off but player has light, use long description
-    // If room is naturally lit, use initial/long/visited based on visit status
-    if (!room.lighting.isLit && hasLight) {
-      // Player is providing light in a naturally dark room
-      description = room.descriptions.long;
-    } else if (verbose || !visited) {
-      // First visit or verbose look command
-      description = visited ? room.descriptions.long : room.descriptions.initial;
-    } else {
-      // Subsequent visits
-      description = room.descriptions.visited || room.descriptions.short;
+  // Run a parsed command as one turn, or one turn per object for a list
+  private async runCommand(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if ((command.all || command.nouns) && this.verbs.get(command.verb)?.grammar?.nounScope && !command.special) {
+      return this.runForEach(session, command);
     }
 
-    // Check for dynamic variants based on room state
-    for (const [variant, text] of Object.entries(room.descriptions.dynamicVariants)) {
-      if (room.state[variant]) {
-        description = text;
-        break;
+    if (command.pronoun) {
+      const resolved = this.resolvePronoun(session, command);
+      if (typeof resolved === 'string') {
+        return { success: false, message: resolved };
       }
+      command = resolved;
     }
 
-    // Add visible objects (exclude taken objects)
-    const visibleObjects = room.objects.filter(obj => 
-      !obj.taken &&
-      (obj.visibility === 'always' || 
-      (obj.visibility === 'conditional' && (!obj.requiresLight || hasLight)))
-    );
+    const question = this.askIfAmbiguous(session, command);
+    if (question) return question;
+    this.rememberReferents(session, command);
 
-    if (visibleObjects.length > 0) {
-      const objectList = visibleObjects.map(obj => obj.name).join(', ');
-      description += `\n\nYou can see: ${objectList}`;
+    // Effects applied while the command runs start ticking next turn
+    const activeEffects = [...session.player.statusEffects];
+    let result = await this.dispatch(session, command);
+    if (!result.success) {
+      result = { ...result, message: this.withSuggestion(session, command, result.message) };
     }
+    const updated = this.checkQuests(session, this.endTurn(session, command, result, activeEffects));
 
-    // Add visible exits
-    const visibleExits = Object.entries(room.exits)
-      .filter(([_, exit]) => exit.visible)
-      .map(([direction]) => direction);
-
-    if (visibleExits.length > 0 && hasLight) {
-      description += `\n\nExits: ${visibleExits.join(', ')}`;
+    if (this.config.autosave && updated.roomChanged && !updated.died) {
+      await this.autosave(session);
     }
+    return updated;
+  }
 
-    // Add NPCs
-    const visibleNpcs = room.npcs.filter(npc => 
-      this.checkNpcSpawnConditions(npc.spawnConditions, room, player)
-    );
+  // Load a save file exported from another session or machine, keeping a
+  // copy in the player's slots
+  async importSave(session: GameSession, content: string): Promise<CommandResult> {
+    const { save, error } = this.decodeSave(content);
+    if (!save) {
+      return { success: false, message: `That save can't be imported: ${error}.` };
+    }
 
-    if (visibleNpcs.length > 0) {
-      for (const npc of visibleNpcs) {
-        description += `\n\n${npc.description}`;
+    const slot = SaveStore.normalizeName(save.slot) || 'imported';
+    const imported = this.codec.sign({ ...save, slot });
+    try {
+      await this.saves.write({ name: imported.player.name, key: session.playerKey }, imported);
+    } catch (error) {
+      if (error instanceof SaveOwnerError) {
+        return { success: false, message: `That save can't be imported: ${this.describeOtherOwner(imported.player.name)}.` };
       }
+      console.error(`Import failed for ${session.player.name}:`, (error as Error).message);
+      return { success: false, message: 'Something went wrong and the save could not be imported.' };
     }
+    return this.restoreSave(session, imported, `Imported save "${slot}".`);
+  }
 
-    return description;
+  // Signed copy of the game for the client to hand back when it reconnects
+  getClientSave(session: GameSession): SaveFile {
+    return this.createSave(session, CLIENT_SAVE_SLOT);
   }
 
-  // Check if room has light
-  private hasLight(room: Room, player: PlayerState): boolean {
-    if (room.lighting.isLit) return true;
-    
-    // Check if player has a light source equipped AND it's turned on
-    if (player.equippedItems.light_source) {
-      const lightId = player.equippedItems.light_source;
-      const isOn = player.flags[`${lightId}_on`] || false;
-      return isOn;
-    }
-    
-    return false;
+  // Resume the game a reconnecting client sent back. Returns why it was
+  // refused, if it was.
+  restoreClientSave(session: GameSession, content: string): string | undefined {
+    const { save, error } = this.decodeSave(content);
+    if (!save) return error;
+
+    session.player = save.player;
+    session.world = new WorldState(save.world);
+    return undefined;
   }
 
-  // Check NPC spawn conditions
-  private checkNpcSpawnConditions(conditions: string[], room: Room, player: PlayerState): boolean {
-    for (const condition of conditions) {
-      switch (condition) {
-        case 'darkness':
-          if (this.hasLight(room, player)) return false;
-          break;
-        case 'light_present':
-          if (!this.hasLight(room, player)) return false;
-          break;
-        // Add more conditions as needed
-      }
-    }
-    return true;
+  // Start and advance quests for the session's current state. Returns the
+  // announcements; at game start these introduce the first subquests.
+  updateQuests(session: GameSession): string[] {
+    const room = this.getCurrentRoom(session);
+    return room ? this.quests.update(this.conditionContext(session, room)) : [];
   }
 
-  // Check if an exit is passable
-  private canUseExit(exit: RoomExit, player: PlayerState): { allowed: boolean; message?: string } {
-    if (!exit.requires) {
-      return { allowed: true };
+  // Quest progress for the client's objectives panel
+  getQuestLog(session: GameSession): QuestLog {
+    return this.quests.getLog(session.world);
+  }
+
+  // Route to appropriate handler
+  private async dispatch(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const verb = command.special ? undefined : this.verbs.get(command.verb);
+
+    // Combat cannot be sidestepped: while it lasts, only verbs meant for a
+    // fight are allowed
+    if (session.inCombat && session.combat && (command.special || (verb?.handler && !verb.duringCombat))) {
+      return {
+        success: false,
+        message: `The ${session.combat.name} won't give you the chance! Fight or flee.`,
+      };
     }
 
-    switch (exit.requires.type) {
-      case 'item':
-        const hasItem = player.inventory.some(item => item.id === exit.requires!.id);
-        if (!hasItem) {
-          return { allowed: false, message: exit.blockedMessage || "You can't go that way." };
-        }
-        break;
-      case 'state':
-        const stateValue = this.worldState.get(exit.requires.id) || false;
-        if (!stateValue) {
-          return { allowed: false, message: exit.blockedMessage || "The way is blocked." };
-        }
-        break;
-      case 'skill':
-        const hasSkill = player.skills.includes(exit.requires.id);
-        if (!hasSkill) {
-          return { allowed: false, message: exit.blockedMessage || "You lack the required skill." };
-        }
-        break;
-      case 'stat':
-        const statValue = player.stats[exit.requires.id as keyof typeof player.stats];
-        if (statValue < (exit.requires.value || 0)) {
-          return { allowed: false, message: exit.blockedMessage || "You're not capable of that." };
-        }
-        break;
+    if (command.special) {
+      return this.handleSpecialVerb(session, command);
+    }
+    if (!verb?.handler) {
+      return {
+        success: false,
+        message: `I don't know how to "${command.verb}".`,
+      };
     }
 
-    return { allowed: true };
+    const problem = this.verbs.checkGrammar(command);
+    if (problem) {
+      return { success: false, message: problem };
+    }
+    return verb.handler(session, command);
   }
 
-  // Command Handlers
-
-  private async handleLook(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+  // The current room's special verbs with their aliases, for the parser
+  private getSpecialVerbPhrases(session: GameSession): Record<string, string[]> {
     const room = this.getCurrentRoom(session);
-    if (!room) {
-      return { success: false, message: "Error: You are nowhere." };
+    const phrases: Record<string, string[]> = {};
+    for (const [verb, definition] of Object.entries(room?.specialVerbs || {})) {
+      phrases[verb] = definition.aliases || [];
     }
+    return phrases;
+  }
 
-    if (command.noun) {
-      // Look at specific object
-      const obj = room.objects.find(o => 
-        o.id === command.noun || 
-        o.name.toLowerCase().includes(command.noun!.toLowerCase()) ||
-        o.synonyms?.some(synonym => synonym.toLowerCase().includes(command.noun!.toLowerCase()))
-      );
-      if (obj) {
-        // Check if this object teaches an ability
-        if (obj.stateChanges?.ability_learned && !room.state[obj.stateChanges.ability_learned]) {
-          // Mark ability as learned
-          room.state[obj.stateChanges.ability_learned] = true;
-          
-          // Add skill to player if not already learned
-          const skillId = obj.stateChanges.ability_learned;
-          if (!session.player.skills.includes(skillId)) {
-            session.player.skills.push(skillId);
-            
-            return {
-              success: true,
-              message: obj.examineText || obj.description,
-              stateChanges: {
-                skills: session.player.skills,
-              },
-            };
-          }
-        }
-        
-        return { success: true, message: obj.examineText || obj.description };
-      }
-
-      const npc = room.npcs.find(n => 
-        n.id === command.noun || n.name.toLowerCase().includes(command.noun!.toLowerCase())
-      );
-      if (npc) {
-        return { success: true, message: npc.description };
-      }
+  // Get a room state flag as seen by this session
+  getRoomFlag(session: GameSession, room: Room, key: string): boolean {
+    return session.world.getRoomFlag(room.identity.id, key, room.state[key] ?? false);
+  }
 
-      return { success: false, message: `You don't see any "${command.noun}" here.` };
-    }
+  // Get the current location of an object for this session
+  getObjectLocation(session: GameSession, objectId: string): string | undefined {
+    const entry = this.objectIndex.get(objectId);
+    if (!entry) return undefined;
 
-    const description = this.getRoomDescription(room, session.player, true);
-    return { success: true, message: description };
+    const { object, roomId } = entry;
+    const defaultLocation = object.initialLocation === 'room' ? roomId : object.initialLocation;
+    return session.world.getObjectLocation(objectId, defaultLocation);
   }
 
-  private async handleGo(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    const room = this.getCurrentRoom(session);
-    if (!room) {
-      return { success: false, message: "Error: You are nowhere." };
+  // Resolve which room an object is in, following container locations
+  private getObjectRoom(session: GameSession, objectId: string, depth: number = 0): string | undefined {
+    const location = this.getObjectLocation(session, objectId);
+    if (!location || depth > 10) return undefined;
+
+    if (location.startsWith('container:')) {
+      return this.getObjectRoom(session, location.slice('container:'.length), depth + 1);
     }
+    if (location === PLAYER_LOCATION || location === 'hidden') {
+      return undefined;
+    }
+    return location;
+  }
 
-    const direction = command.noun?.toLowerCase();
-    if (!direction) {
-      return { success: false, message: "Go where?" };
+  // Get all objects currently in a room for this session. Objects inside
+  // closed containers are out of sight and reach.
+  getRoomObjects(session: GameSession, room: Room): RoomObject[] {
+    const objects: RoomObject[] = [];
+    for (const [objectId, { object }] of this.objectIndex) {
+      if (this.getObjectRoom(session, objectId) === room.identity.id && this.isReachable(session, objectId)) {
+        objects.push(object);
+      }
     }
+    return objects;
+  }
 
-    const exit = room.exits[direction];
-    if (!exit) {
-      return { success: false, message: "You can't go that way." };
+  // Whether every container around an object is open
+  private isReachable(session: GameSession, objectId: string, depth: number = 0): boolean {
+    const location = this.getObjectLocation(session, objectId);
+    if (!location?.startsWith('container:')) return true;
+
+    const container = this.getObjectDefinition(location.slice('container:'.length));
+    return !!container && depth < 10 &&
+      this.isContainerOpen(session, container) &&
+      this.isReachable(session, container.id, depth + 1);
+  }
+
+  private isContainerOpen(session: GameSession, obj: RoomObject): boolean {
+    return !!obj.container && session.world.getObjectFlag(obj.id, 'open', obj.container.open);
+  }
+
+  private isContainerLocked(session: GameSession, obj: RoomObject): boolean {
+    return !!obj.container && session.world.getObjectFlag(obj.id, 'locked', obj.container.locked ?? false);
+  }
+
+  // Objects directly inside a container
+  private getContainerContents(session: GameSession, container: RoomObject): RoomObject[] {
+    const objects: RoomObject[] = [];
+    for (const [objectId, { object }] of this.objectIndex) {
+      if (this.getObjectLocation(session, objectId) === `container:${container.id}`) {
+        objects.push(object);
+      }
     }
+    return objects;
+  }
 
-    const canPass = this.canUseExit(exit, session.player);
-    if (!canPass.allowed) {
-      return { success: false, message: canPass.message! };
+  // Container state line for examine output
+  private describeContainer(session: GameSession, obj: RoomObject): string {
+    if (this.isContainerLocked(session, obj)) return `The ${obj.name} is locked.`;
+    if (!this.isContainerOpen(session, obj)) return `The ${obj.name} is closed.`;
+
+    const contents = this.getContainerContents(session, obj);
+    if (contents.length === 0) return `The ${obj.name} is empty.`;
+    return `Inside the ${obj.name}: ${contents.map(o => o.name).join(', ')}`;
+  }
+
+  // Get all objects carried or equipped by the player
+  private getCarriedObjects(session: GameSession): RoomObject[] {
+    const objects: RoomObject[] = [];
+    for (const [objectId, { object }] of this.objectIndex) {
+      if (this.getObjectLocation(session, objectId) === PLAYER_LOCATION) {
+        objects.push(object);
+      }
     }
+    return objects;
+  }
 
-    // Move player
-    const previousRoom = session.player.location;
-    session.player.location = exit.to;
+  // Catalog entry for a takeable object. Objects without one are treated
+  // as a plain, unstackable item.
+  private getObjectItem(obj: RoomObject): ItemDefinition {
+    const item = this.items.getItem(obj.item || obj.id);
+    if (item) return item;
+
+    console.warn(`Object "${obj.id}" has no item catalog entry`);
+    return {
+      id: obj.id,
+      name: obj.name,
+      synonyms: obj.synonyms,
+      description: obj.description,
+      category: 'junk',
+      weight: 1,
+      stackSize: 1,
+    };
+  }
+
+  // Add an object to the inventory and move it to the player in this
+  // session's world only
+  private giveItem(session: GameSession, obj: RoomObject): void {
+    this.items.addToInventory(session.player, this.getObjectItem(obj));
+    session.world.setObjectLocation(obj.id, PLAYER_LOCATION);
+  }
+
+  // Remove one unit of an inventory item and return the carried object that
+  // represented it, so the caller can place it somewhere
+  private takeFromInventory(session: GameSession, itemId: string): RoomObject | undefined {
+    if (!this.items.removeFromInventory(session.player, itemId)) return undefined;
+
+    return this.getCarriedObjects(session).find(obj =>
+      (obj.item || obj.id) === itemId && !Object.values(session.player.equippedItems).includes(itemId)
+    ) || this.getCarriedObjects(session).find(obj => (obj.item || obj.id) === itemId);
+  }
+
+  // Run a room's hooks for an event and fold their outcome into the result
+  private applyHooks(
+    session: GameSession,
+    room: Room,
+    event: HookEvent,
+    result: CommandResult,
+    firstVisit?: boolean
+  ): CommandResult {
+    const outcome = this.hooks.run(event, this.conditionContext(session, room, firstVisit));
+    return this.applyHookOutcome(session, room, outcome, result);
+  }
+
+  // Fold what hooks or world events did into a command result
+  private applyHookOutcome(session: GameSession, room: Room, outcome: HookOutcome, result: CommandResult): CommandResult {
+    const stateChanges: Record<string, unknown> = { ...result.stateChanges };
+
+    for (const itemId of outcome.grantedItems) {
+      const obj = this.getObjectDefinition(itemId);
+      if (obj && this.getObjectLocation(session, itemId) !== PLAYER_LOCATION) {
+        this.giveItem(session, obj);
+        outcome.messages.push(`You receive the ${obj.name}.`);
+        stateChanges.inventory = session.player.inventory;
+      }
+    }
+    if (outcome.skillsChanged) {
+      stateChanges.skills = session.player.skills;
+      outcome.messages.push(...this.progression.award(session.player, this.config.xpAbilityLearned, 'new ability'));
+    }
+    if (outcome.xp) {
+      outcome.messages.push(...this.progression.award(session.player, outcome.xp, 'progress'));
+    }
+
+    let message = result.message;
+    if (outcome.messages.length > 0) {
+      message += `${message ? '\n\n' : ''}${outcome.messages.join('\n')}`;
+    }
+
+    if (session.player.hp <= 0) {
+      const death = this.handleDeath(session, []);
+      return { ...death, message: `${message}\n\n${death.message}` };
+    }
+
+    const updated: CommandResult = {
+      ...result,
+      message,
+      stateChanges: {
+        ...stateChanges,
+        ...this.progressionChanges(session.player),
+        statusEffects: session.player.statusEffects,
+      },
+    };
+
+    const npc = outcome.combatNpc ? room.npcs.find(n => n.id === outcome.combatNpc) : undefined;
+    if (npc && !session.inCombat) {
+      const combat = this.startCombat(session, npc, room);
+      updated.message += `\n\n**${combat.name} attacks!**`;
+      updated.combatTriggered = true;
+      updated.combat = this.combat.toUpdate(combat, [`The ${combat.name} attacks!`]);
+    }
+
+    return updated;
+  }
+
+  // Get an object definition by id
+  private getObjectDefinition(objectId: string): RoomObject | undefined {
+    return this.objectIndex.get(objectId)?.object;
+  }
+
+  // Check whether an object matches a noun typed by the player
+  private objectMatches(obj: RoomObject, noun: string): boolean {
+    const needle = noun.toLowerCase();
+    return obj.id === noun || obj.item === noun ||
+      obj.name.toLowerCase().includes(needle) ||
+      (obj.synonyms?.some(synonym => synonym.toLowerCase().includes(needle)) ?? false);
+  }
+
+  // Whether a noun could refer to an object, by the object's own names or
+  // those of its catalog item
+  private refersTo(obj: RoomObject, noun: string): boolean {
+    if (this.objectMatches(obj, noun)) return true;
+    const item = obj.takeable || obj.item ? this.items.getItem(obj.item || obj.id) : undefined;
+    return !!item && this.items.matches(item, noun);
+  }
+
+  // Objects a verb can refer to: the same room objects the handlers reach,
+  // so "all", "it" and "which do you mean" agree with naming them directly
+  private getObjectsInScope(session: GameSession, scope: ObjectScope): RoomObject[] {
+    const room = this.getCurrentRoom(session);
+    const objects: RoomObject[] = [];
+    if (room && scope !== 'carried') {
+      objects.push(...this.getRoomObjects(session, room));
+    }
+    if (scope !== 'room') {
+      objects.push(...this.getCarriedObjects(session));
+    }
+    return objects;
+  }
+
+  // Different objects a noun could mean. Copies of the same item count
+  // once, and a noun naming one object exactly means that one.
+  private findCandidates(session: GameSession, scope: ObjectScope, noun: string): RoomObject[] {
+    const seen = new Set<string>();
+    const candidates = this.getObjectsInScope(session, scope).filter(obj => {
+      const key = obj.item || obj.id;
+      if (seen.has(key) || !this.refersTo(obj, noun)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const needle = noun.toLowerCase();
+    const exact = candidates.filter(obj => obj.name.toLowerCase() === needle || (obj.item || obj.id) === noun);
+    return exact.length === 1 ? exact : candidates;
+  }
+
+  // The parts of a command that name objects, and where each is looked for
+  private getObjectSlots(command: ParsedCommand): Array<[PendingCommand['slot'], ObjectScope]> {
+    if (command.special) return [];
+
+    const grammar = this.verbs.get(command.verb)?.grammar;
+    const slots: Array<[PendingCommand['slot'], ObjectScope | undefined]> = [
+      ['noun', grammar?.nounScope],
+      ['indirectObject', grammar?.indirectScope],
+    ];
+    return slots.filter((slot): slot is [PendingCommand['slot'], ObjectScope] => !!slot[1]);
+  }
+
+  private getParserContext(session: GameSession): ParserContext {
+    return session.parserContext ??= { referents: [] };
+  }
+
+  // Swap the object ids a pronoun was replaced with for nouns handlers
+  // understand. Returns a message instead if an object has gone out of
+  // reach since it was mentioned.
+  private resolvePronoun(session: GameSession, command: ParsedCommand): ParsedCommand | string {
+    const referents = this.getParserContext(session).referents;
+    const resolved = { ...command };
+
+    for (const [slot, scope] of this.getObjectSlots(command)) {
+      const id = command[slot];
+      if (!id || !referents.includes(id)) continue;
+
+      const obj = this.getObjectsInScope(session, scope).find(o => o.id === id);
+      if (!obj) {
+        const name = this.getObjectDefinition(id)?.name ?? command.pronoun;
+        if (scope === 'carried') return `You don't have the ${name} any more.`;
+        if (this.getCarriedObjects(session).some(o => o.id === id)) return `You're already carrying the ${name}.`;
+        return `The ${name} isn't here any more.`;
+      }
+      resolved[slot] = this.referenceTo(session, scope, obj);
+    }
+    return resolved;
+  }
+
+  // Remember the object a command's noun refers to, for "it" next time
+  private rememberReferents(session: GameSession, command: ParsedCommand): void {
+    const [slot] = this.getObjectSlots(command);
+    if (!slot || slot[0] !== 'noun' || !command.noun) return;
+
+    const candidates = this.findCandidates(session, slot[1], command.noun);
+    if (candidates.length === 1) {
+      this.getParserContext(session).referents = [candidates[0].id];
+    }
+  }
+
+  // Add "Did you mean...?" to a failure message when the command's verb or
+  // object names look like typos of ones that would work here
+  private withSuggestion(session: GameSession, command: ParsedCommand, message: string): string {
+    const suggestion = command.pronoun ? undefined : this.suggestCommand(session, command);
+    return suggestion ? `${message} Did you mean "${suggestion}"?` : message;
+  }
+
+  private suggestCommand(session: GameSession, command: ParsedCommand): string | undefined {
+    const specialVerbs = this.getSpecialVerbPhrases(session);
+    const [typed, ...rest] = command.raw.trim().toLowerCase().split(/\s+/);
+    let verb = typed;
+
+    if (!this.parser.isCommandWord(verb, specialVerbs)) {
+      const [closest] = this.parser.getSuggestions(verb, specialVerbs);
+      if (!closest) return undefined;
+      verb = closest;
+      command = this.parser.parse([verb, ...rest].join(' '), specialVerbs, this.getParserContext(session));
+      if (!command.valid) return undefined;
+    }
+
+    const corrected = { ...command };
+    for (const [slot, scope] of this.getObjectSlots(command)) {
+      const noun = command[slot];
+      if (!noun || command.all || command.nouns || this.findCandidates(session, scope, noun).length > 0) continue;
+
+      const name = this.closestObjectName(session, scope, noun);
+      if (name) corrected[slot] = name;
+    }
+
+    if (corrected.noun === command.noun && corrected.indirectObject === command.indirectObject) {
+      return verb === typed ? undefined : [verb, ...rest].join(' ');
+    }
+    return corrected.indirectObject
+      ? `${verb} ${corrected.noun} ${corrected.preposition} ${corrected.indirectObject}`
+      : [verb, corrected.preposition, corrected.noun].filter(Boolean).join(' ');
+  }
+
+  // Name of the object in scope whose name or synonyms are closest to a
+  // misspelled noun
+  private closestObjectName(session: GameSession, scope: ObjectScope, noun: string): string | undefined {
+    const names = new Map<string, string>();
+    for (const obj of this.getObjectsInScope(session, scope)) {
+      const item = obj.takeable || obj.item ? this.items.getItem(obj.item || obj.id) : undefined;
+      for (const name of [obj.name, ...(obj.synonyms || []), ...(item ? [item.name, ...(item.synonyms || [])] : [])]) {
+        if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), obj.name);
+      }
+    }
+
+    const [closest] = closestMatches(noun, names.keys(), 1);
+    return closest ? names.get(closest) : undefined;
+  }
+
+  // Ask which object the player meant if the command's noun or indirect
+  // object could mean more than one. The command waits on the session for
+  // the answer.
+  private askIfAmbiguous(session: GameSession, command: ParsedCommand): CommandResult | undefined {
+    if (command.special) return undefined;
+
+    for (const [slot, scope] of this.getObjectSlots(command)) {
+      const noun = command[slot];
+      if (!noun || noun === 'all') continue;
+
+      const candidates = this.findCandidates(session, scope, noun);
+      if (candidates.length > 1) {
+        return this.askWhich(session, { command, slot, scope, options: candidates.map(obj => obj.id) });
+      }
+    }
+    return undefined;
+  }
+
+  private askWhich(session: GameSession, pending: PendingCommand): CommandResult {
+    session.pendingCommand = pending;
+    const names = pending.options.map(id => `the ${this.getObjectDefinition(id)?.name ?? id}`);
+    return {
+      success: true,
+      message: `Which do you mean, ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}?`,
+    };
+  }
+
+  // Resume a waiting command with the player's answer: a number from the
+  // list or a word that picks out one of the options. Returns undefined if
+  // the input doesn't answer the question, so it runs as a new command.
+  private async answerWhich(session: GameSession, pending: PendingCommand, input: string): Promise<CommandResult | undefined> {
+    const answer = input.trim().toLowerCase().replace(/^(the|my)\s+/, '');
+    const options = pending.options
+      .map(id => this.getObjectDefinition(id))
+      .filter((obj): obj is RoomObject => !!obj);
+
+    let chosen: RoomObject[];
+    if (/^\d+$/.test(answer)) {
+      const option = options[Number(answer) - 1];
+      chosen = option ? [option] : [];
+    } else {
+      chosen = answer ? options.filter(obj => this.refersTo(obj, answer)) : [];
+    }
+
+    if (chosen.length === 0) return undefined;
+    if (chosen.length > 1) {
+      return this.askWhich(session, { ...pending, options: chosen.map(obj => obj.id) });
+    }
+
+    const reference = this.referenceTo(session, pending.scope, chosen[0]);
+    const command = { ...pending.command, [pending.slot]: reference };
+    this.getParserContext(session).lastCommand = command;
+    return this.runCommand(session, command);
+  }
+
+  // A noun handlers will resolve to this object: its name if that doesn't
+  // match anything else in scope, otherwise its id
+  private referenceTo(session: GameSession, scope: ObjectScope, obj: RoomObject): string {
+    const others = this.getObjectsInScope(session, scope)
+      .filter(other => (other.item || other.id) !== (obj.item || obj.id));
+    return others.some(other => this.refersTo(other, obj.name)) ? obj.item || obj.id : obj.name;
+  }
+
+  // The objects "all" stands for: loose takeable objects in the room (or in
+  // the container named with "from"), or everything carried but not
+  // equipped. Returns a message instead when there is nothing to act on.
+  private expandAll(session: GameSession, command: ParsedCommand): Array<[string, string]> | string {
+    const scope = this.verbs.get(command.verb)?.grammar?.allScope;
+    if (!scope) {
+      return `"All" doesn't work with "${command.verb}".`;
+    }
+
+    let objects: RoomObject[];
+    if (scope === 'carried') {
+      const equipped = Object.values(session.player.equippedItems);
+      objects = this.getCarriedObjects(session).filter(obj => !equipped.includes(obj.item || obj.id));
+    } else {
+      const visible = this.getObjectsInScope(session, 'room');
+      const container = command.indirectObject
+        ? visible.find(obj => obj.container && this.objectMatches(obj, command.indirectObject!))
+        : undefined;
+      if (command.indirectObject && !container) {
+        return `You don't see any "${command.indirectObject}" to take things from.`;
+      }
+      const location = container ? `container:${container.id}` : session.player.location;
+      objects = visible.filter(obj => obj.takeable && this.getObjectLocation(session, obj.id) === location);
+    }
+
+    const except = command.except || [];
+    objects = objects.filter(obj => !except.some(noun => this.refersTo(obj, noun)));
+    if (objects.length === 0) {
+      return `There is nothing to ${command.verb}.`;
+    }
+    return objects.map(obj => [obj.name, this.referenceTo(session, scope, obj)]);
+  }
+
+  // Run a command once for each object in its list, reporting each by name.
+  // Stops early for combat, death or a question.
+  private async runForEach(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const targets = command.all
+      ? this.expandAll(session, command)
+      : command.nouns!.map(noun => {
+        // Pronouns were replaced with object ids; label those by name
+        const label = command.pronoun ? this.getObjectDefinition(noun)?.name ?? noun : noun;
+        return [label, noun] as [string, string];
+      });
+    if (typeof targets === 'string') {
+      return { success: false, message: targets };
+    }
+
+    // "them" afterwards means every object in the list
+    const context = this.getParserContext(session);
+    const previous = context.referents;
+    const referents: string[] = [];
+
+    const results: Array<[string, CommandResult]> = [];
+    for (const [label, noun] of targets) {
+      const before = command.pronoun ? previous : [];
+      context.referents = before;
+      const result = await this.runCommand(session, { ...command, noun, nouns: undefined, all: undefined, except: undefined });
+      results.push([label, result]);
+      if (context.referents !== before) referents.push(...context.referents);
+      if (result.combatTriggered || result.died || session.pendingCommand) break;
+    }
+    context.referents = referents.length > 0 ? referents : previous;
+
+    const last = results[results.length - 1][1];
+    return {
+      success: results.some(([, result]) => result.success),
+      message: results.map(([label, result]) => `${label}: ${result.message}`).join('\n'),
+      stateChanges: Object.assign({}, ...results.map(([, result]) => result.stateChanges)),
+      roomChanged: results.some(([, result]) => result.roomChanged) || undefined,
+      combatTriggered: last.combatTriggered,
+      combat: last.combat,
+      died: last.died,
+    };
+  }
+
+  // Award XP and report it, with any level-up, in a command result
+  private grantXp(session: GameSession, result: CommandResult, amount: number, reason: string): CommandResult {
+    const log = this.progression.award(session.player, amount, reason);
+    if (log.length === 0) return result;
+
+    return {
+      ...result,
+      message: `${result.message}\n\n${log.join('\n')}`,
+      stateChanges: {
+        ...result.stateChanges,
+        ...this.progressionChanges(session.player),
+      },
+    };
+  }
+
+  // Player fields a level-up can change
+  private progressionChanges(player: PlayerState): Partial<PlayerState> {
+    return {
+      xp: player.xp,
+      level: player.level,
+      hp: player.hp,
+      maxHp: player.maxHp,
+      mp: player.mp,
+      maxMp: player.maxMp,
+      stats: player.stats,
+    };
+  }
+
+  // Snapshot the session into a signed save file
+  private createSave(session: GameSession, slot: string): SaveFile {
+    return this.codec.sign({
+      version: SAVE_VERSION,
+      slot,
+      savedAt: new Date().toISOString(),
+      player: JSON.parse(JSON.stringify(session.player)),
+      world: session.world.toJSON(),
+    });
+  }
+
+  // Check a save's signature, version and contents before trusting it
+  private decodeSave(data: unknown): { save?: SaveFile; error?: string } {
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        return { error: 'it is not a save file' };
+      }
+    }
+    return this.codec.decode(data);
+  }
+
+  // Read and check a save slot named by the player
+  private async readSlot(session: GameSession, name: string): Promise<{ save?: SaveFile; error?: string }> {
+    const slot = SaveStore.normalizeName(name);
+    let data: string | undefined;
+    try {
+      data = slot ? await this.saves.read(this.getSaveOwner(session), slot) : undefined;
+    } catch (error) {
+      if (error instanceof SaveOwnerError) {
+        return { error: `The save "${slot}" can't be loaded: ${this.describeOtherOwner(session.player.name)}.` };
+      }
+      console.error(`Reading save ${slot} for ${session.player.name} failed:`, (error as Error).message);
+      return { error: `The save "${slot}" can't be loaded: it could not be read.` };
+    }
+    if (data === undefined) {
+      return { error: `There is no save called "${name}". Type 'saves' to list them.` };
+    }
+
+    const { save, error } = this.decodeSave(data);
+    return save ? { save } : { error: `The save "${slot}" can't be loaded: ${error}.` };
+  }
+
+  // A player's loadable saves, newest first, or why they can't be listed
+  private async listSaves(session: GameSession): Promise<{ saves: SaveFile[]; damaged: Map<string, string>; error?: string }> {
+    const saves: SaveFile[] = [];
+    const damaged = new Map<string, string>();
+
+    let files: Map<string, string>;
+    try {
+      files = await this.saves.list(this.getSaveOwner(session));
+    } catch (error) {
+      if (error instanceof SaveOwnerError) {
+        return { saves, damaged, error: `Your saved games can't be listed: ${this.describeOtherOwner(session.player.name)}.` };
+      }
+      console.error(`Listing saves for ${session.player.name} failed:`, (error as Error).message);
+      return { saves, damaged, error: 'Something went wrong and your saved games could not be listed.' };
+    }
+
+    for (const [slot, data] of files) {
+      const { save, error } = this.decodeSave(data);
+      if (save) {
+        saves.push(save);
+      } else {
+        damaged.set(slot, error || 'unreadable');
+      }
+    }
+    saves.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    return { saves, damaged };
+  }
+
+  // Replace the session's game with a saved one
+  private restoreSave(session: GameSession, save: SaveFile, message: string): CommandResult {
+    session.player = JSON.parse(JSON.stringify(save.player));
+    session.world = new WorldState(save.world);
+    this.endCombat(session);
+
+    const room = this.getCurrentRoom(session);
+    return {
+      success: true,
+      message: room ? `${message}\n\n${this.getRoomDescription(room, session)}` : message,
+      stateChanges: { ...session.player },
+      roomChanged: true,
+    };
+  }
+
+  // The player's saves on disk belong to the key their client keeps
+  private getSaveOwner(session: GameSession): SaveOwner {
+    return { name: session.player.name, key: session.playerKey };
+  }
+
+  private describeOtherOwner(name: string): string {
+    return `the saves for "${name}" belong to another player`;
+  }
+
+  private async autosave(session: GameSession): Promise<void> {
+    try {
+      await this.saves.write(this.getSaveOwner(session), this.createSave(session, AUTOSAVE_SLOT));
+    } catch (error) {
+      console.error(`Autosave failed for ${session.player.name}:`, (error as Error).message);
+    }
+  }
+
+  // Report quest progress made by a command
+  private checkQuests(session: GameSession, result: CommandResult): CommandResult {
+    if (result.died) return result;
+
+    const log = this.updateQuests(session);
+    if (log.length === 0) return result;
+
+    return {
+      ...result,
+      message: `${result.message}\n\n${log.join('\n')}`,
+      stateChanges: {
+        ...result.stateChanges,
+        ...this.progressionChanges(session.player),
+      },
+    };
+  }
+
+  // Let game time pass after a command: one turn, or as many as the
+  // command took (waiting, resting). Failed and free actions take no time.
+  private endTurn(
+    session: GameSession,
+    command: ParsedCommand,
+    result: CommandResult,
+    activeEffects: StatusEffect[]
+  ): CommandResult {
+    if (!result.success || result.died || this.verbs.get(command.verb)?.free) {
+      return result;
+    }
+
+    const turns = result.turns || 1;
+    let updated = result;
+    for (let i = 0; i < turns; i++) {
+      const { result: next, interrupted } = this.passTurn(
+        session,
+        updated,
+        i === 0 ? activeEffects : [...session.player.statusEffects],
+        i === 0 && !!result.roomChanged
+      );
+      updated = next;
+      if (updated.died || updated.combatTriggered) break;
+      if (interrupted && i < turns - 1) {
+        updated = { ...updated, message: `${updated.message}\n\nYou are interrupted after ${i + 1} of ${turns} turns.` };
+        break;
+      }
+    }
+    return updated;
+  }
+
+  // One turn of the world clock: status effects tick, then hazards in the
+  // current room, passive recovery and scheduled world events. Entering a
+  // room applies its entry hazards in handleGo instead.
+  private passTurn(
+    session: GameSession,
+    result: CommandResult,
+    activeEffects: StatusEffect[],
+    enteredRoom: boolean
+  ): { result: CommandResult; interrupted: boolean } {
+    const player = session.player;
+    const room = this.getCurrentRoom(session);
+    if (!room) return { result, interrupted: false };
+
+    const turn = session.world.advanceTurn();
+    const hpBefore = player.hp;
+
+    const log = this.effects.tick(player, activeEffects);
+    if (!enteredRoom) {
+      log.push(...this.hazards.apply(room, player, 'turn'));
+    }
+    if (!session.inCombat && turn % this.config.recoveryInterval === 0) {
+      player.hp = Math.min(player.maxHp, player.hp + this.config.passiveHpRecovery);
+      player.mp = Math.min(player.maxMp, player.mp + this.config.passiveMpRecovery);
+      player.fatigue = Math.max(0, (player.fatigue || 0) - 1);
+    }
+
+    if (player.hp <= 0) {
+      const death = this.handleDeath(session, log);
+      return { result: { ...death, message: `${result.message}\n\n${death.message}` }, interrupted: true };
+    }
+
+    let updated: CommandResult = {
+      ...result,
+      message: log.length > 0 ? `${result.message}\n\n${log.join('\n')}` : result.message,
+      stateChanges: {
+        ...result.stateChanges,
+        hp: player.hp,
+        mp: player.mp,
+        fatigue: player.fatigue,
+        statusEffects: player.statusEffects,
+      },
+    };
+
+    const outcomes = this.scheduler.tick(this.conditionContext(session, room));
+    for (const outcome of outcomes) {
+      updated = this.applyHookOutcome(session, room, outcome, updated);
+      if (updated.died) break;
+    }
+
+    const interrupted = player.hp < hpBefore || outcomes.some(outcome => outcome.messages.length > 0);
+    return { result: updated, interrupted };
+  }
+
+  // Generate room description
+  getRoomDescription(room: Room, session: GameSession, verbose: boolean = false): string {
+    const player = session.player;
+    const hasLight = this.hasLight(room, player);
+
+    // If room is dark and player has no light source, show dark description
+    if (!hasLight) {
+      return room.descriptions.dark;
+    }
+
+    // Room is lit (either naturally or by player's light source)
+    const visited = player.visitedRooms.includes(room.identity.id);
+    let description: string;
+
+    // If room's natural lighting is off but player has light, use long description
+    // If room is naturally lit, use initial/long/visited based on visit status
+    if (!room.lighting.isLit && hasLight) {
+      // Player is providing light in a naturally dark room
+      description = room.descriptions.long;
+    } else if (verbose || !visited) {
+      // First visit or verbose look command
+      description = visited ? room.descriptions.long : room.descriptions.initial;
+    } else {
+      // Subsequent visits
+      description = room.descriptions.visited || room.descriptions.short;
+    }
+
+    // Check for dynamic variants based on room state
+    for (const [variant, text] of Object.entries(room.descriptions.dynamicVariants)) {
+      if (this.getRoomFlag(session, room, variant)) {
+        description = text;
+        break;
+      }
+    }
+
+    // Add visible objects (only those still in this room for this session)
+    const visibleObjects = this.getRoomObjects(session, room).filter(obj => 
+      (obj.visibility === 'always' || 
+      (obj.visibility === 'conditional' && (!obj.requiresLight || hasLight)))
+    );
+    const looseObjects = visibleObjects.filter(obj =>
+      this.getObjectLocation(session, obj.id) === room.identity.id
+    );
+
+    if (looseObjects.length > 0) {
+      const objectList = looseObjects.map(obj => {
+        if (!obj.container) return obj.name;
+        return `${obj.name} (${this.isContainerOpen(session, obj) ? 'open' : 'closed'})`;
+      }).join(', ');
+      description += `\n\nYou can see: ${objectList}`;
+    }
+
+    // List what's inside open containers
+    for (const container of visibleObjects.filter(obj => this.isContainerOpen(session, obj))) {
+      const contents = this.getContainerContents(session, container)
+        .filter(obj => visibleObjects.includes(obj));
+      if (contents.length > 0) {
+        description += `\nIn the ${container.name}: ${contents.map(obj => obj.name).join(', ')}`;
+      }
+    }
+
+    // Add visible exits, annotated with door state
+    const visibleExits = Object.entries(room.exits)
+      .filter(([_, exit]) => exit.visible)
+      .map(([direction, exit]) => {
+        const state = this.getDoorState(session, room, direction);
+        if (state !== 'open') return `${direction} (${state})`;
+        return exit.oneWay ? `${direction} (one-way)` : direction;
+      });
+
+    if (visibleExits.length > 0 && hasLight) {
+      description += `\n\nExits: ${visibleExits.join(', ')}`;
+    }
+
+    // Add NPCs
+    const visibleNpcs = room.npcs.filter(npc => this.isNpcPresent(session, room, npc));
+
+    if (visibleNpcs.length > 0) {
+      for (const npc of visibleNpcs) {
+        description += `\n\n${npc.description}`;
+      }
+    }
+
+    return description;
+  }
+
+  // Check if room has light
+  private hasLight(room: Room, player: PlayerState): boolean {
+    if (room.lighting.isLit) return true;
+    
+    // Check if player has a light source equipped AND it's turned on
+    if (player.equippedItems.light_source) {
+      const lightId = player.equippedItems.light_source;
+      const isOn = player.flags[`${lightId}_on`] || false;
+      return isOn;
+    }
+    
+    return false;
+  }
+
+  // Context for evaluating hook and spawn conditions in a room
+  private conditionContext(session: GameSession, room: Room, firstVisit?: boolean): ConditionContext {
+    return { session, room, lit: this.hasLight(room, session.player), firstVisit };
+  }
+
+  // Check whether an NPC is present for this session (spawned and not despawned)
+  private isNpcPresent(session: GameSession, room: Room, npc: RoomNPC): boolean {
+    // Hooks can spawn or despawn NPCs regardless of their own conditions
+    if (this.getRoomFlag(session, room, `despawned_${npc.id}`)) {
+      return false;
+    }
+    if (
+      !this.getRoomFlag(session, room, `spawned_${npc.id}`) &&
+      !this.conditions.check(npc.spawnConditions, this.conditionContext(session, room))
+    ) {
+      return false;
+    }
+    return !npc.despawnConditions.some(condition =>
+      this.getRoomFlag(session, room, condition) || session.world.getFlag(condition)
+    );
+  }
+
+  // Check if an exit is passable
+  private canUseExit(
+    exit: RoomExit,
+    session: GameSession,
+    room: Room,
+    direction: string
+  ): { allowed: boolean; message?: string } {
+    const player = session.player;
+
+    // One-way passages can't be walked back through
+    const destination = this.getRoom(exit.to);
+    const oneWayBack = destination && Object.values(destination.exits)
+      .some(e => e.to === room.identity.id && e.oneWay);
+    if (oneWayBack) {
+      return { allowed: false, message: exit.blockedMessage || "There's no way back through there." };
+    }
+
+    // Doors replace the item requirement with their own locked state
+    if (exit.door) {
+      const state = this.getDoorState(session, room, direction);
+      if (state !== 'open') {
+        return { allowed: false, message: exit.blockedMessage || `The way ${direction} is ${state}.` };
+      }
+      return { allowed: true };
+    }
+
+    // Exits opened by other means (e.g. a spell) skip their requirement
+    if (!exit.requires || this.getRoomFlag(session, room, `unlocked_${direction}`)) {
+      return { allowed: true };
+    }
+
+    switch (exit.requires.type) {
+      case 'item':
+        const hasItem = player.inventory.some(item => item.id === exit.requires!.id);
+        if (!hasItem) {
+          return { allowed: false, message: exit.blockedMessage || "You can't go that way." };
+        }
+        break;
+      case 'state':
+        const stateValue = session.world.getFlag(exit.requires.id);
+        if (!stateValue) {
+          return { allowed: false, message: exit.blockedMessage || "The way is blocked." };
+        }
+        break;
+      case 'skill':
+        const hasSkill = player.skills.includes(exit.requires.id);
+        if (!hasSkill) {
+          return { allowed: false, message: exit.blockedMessage || "You lack the required skill." };
+        }
+        break;
+      case 'stat':
+        const statValue = player.stats[exit.requires.id as keyof typeof player.stats];
+        if (statValue < (exit.requires.value || 0)) {
+          return { allowed: false, message: exit.blockedMessage || "You're not capable of that." };
+        }
+        break;
+    }
+
+    return { allowed: true };
+  }
+
+  // Door state for an exit; exits without a door are always open
+  private getDoorState(session: GameSession, room: Room, direction: string): 'open' | 'locked' | 'sealed' {
+    const door = room.exits[direction]?.door;
+    if (!door || this.getRoomFlag(session, room, `unlocked_${direction}`)) return 'open';
+
+    const roomId = room.identity.id;
+    if (session.world.getRoomFlag(roomId, `sealed_${direction}`, door.sealed ?? false)) return 'sealed';
+    if (session.world.getRoomFlag(roomId, `locked_${direction}`, door.locked)) return 'locked';
+    return 'open';
+  }
+
+  private setDoorState(session: GameSession, room: Room, direction: string, state: 'open' | 'locked' | 'sealed'): void {
+    const roomId = room.identity.id;
+    session.world.setRoomFlag(roomId, `unlocked_${direction}`, state === 'open');
+    session.world.setRoomFlag(roomId, `locked_${direction}`, state !== 'open');
+    session.world.setRoomFlag(roomId, `sealed_${direction}`, state === 'sealed');
+  }
+
+  // Find the door a noun refers to: one of its objects, its direction, or
+  // the only door in the room
+  private findDoor(session: GameSession, room: Room, noun?: string): string | undefined {
+    const doors = Object.entries(room.exits).filter(([, exit]) => exit.door);
+    if (!noun) {
+      return doors.length === 1 ? doors[0][0] : undefined;
+    }
+
+    const roomObjects = this.getRoomObjects(session, room);
+    const match = doors.find(([direction, exit]) =>
+      noun === direction ||
+      noun === `${direction} door` ||
+      roomObjects.some(obj => exit.door!.objects?.includes(obj.id) && this.objectMatches(obj, noun))
+    );
+    if (match) return match[0];
+
+    return noun === 'door' && doors.length === 1 ? doors[0][0] : undefined;
+  }
+
+  // Unlock a door with its key, using the key up if the door consumes it
+  private unlockDoor(session: GameSession, room: Room, direction: string): string {
+    const door = room.exits[direction].door!;
+    this.setDoorState(session, room, direction, 'open');
+
+    if (door.consumeKey && door.keyId) {
+      const key = this.takeFromInventory(session, door.keyId);
+      if (key) {
+        session.world.setObjectLocation(key.id, 'hidden');
+      }
+    }
+
+    return door.unlockMessage || `You unlock the way ${direction}.`;
+  }
+
+  private hasItem(session: GameSession, itemId: string): boolean {
+    return session.player.inventory.some(item => item.id === itemId);
+  }
+
+  // Command Handlers
+
+  private async handleLook(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    if (command.noun) {
+      // Look at specific object
+      const obj = [...this.getRoomObjects(session, room), ...this.getCarriedObjects(session)]
+        .find(o => this.objectMatches(o, command.noun!));
+      if (obj) {
+        let text = obj.examineText || obj.description;
+        if (obj.container) {
+          text += `\n\n${this.describeContainer(session, obj)}`;
+        }
+
+        // Check if this object teaches an ability
+        const ability = obj.stateChanges?.ability_learned;
+        if (ability && !this.getRoomFlag(session, room, ability)) {
+          // Mark ability as learned
+          session.world.setRoomFlag(room.identity.id, ability, true);
+          
+          // Add skill to player if not already learned
+          const skillId = ability;
+          if (!session.player.skills.includes(skillId)) {
+            session.player.skills.push(skillId);
+            
+            return this.grantXp(session, {
+              success: true,
+              message: text,
+              stateChanges: {
+                skills: session.player.skills,
+              },
+            }, this.config.xpAbilityLearned, 'new ability');
+          }
+        }
+        
+        return { success: true, message: text };
+      }
+
+      const npc = room.npcs.find(n => 
+        this.isNpcPresent(session, room, n) &&
+        (n.id === command.noun || n.name.toLowerCase().includes(command.noun!.toLowerCase()))
+      );
+      if (npc) {
+        return { success: true, message: npc.description };
+      }
+
+      return { success: false, message: `You don't see any "${command.noun}" here.` };
+    }
+
+    const description = this.getRoomDescription(room, session, true);
+    return this.applyHooks(session, room, 'onLook', { success: true, message: description });
+  }
+
+  private async handleGo(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    const direction = command.noun?.toLowerCase();
+    if (!direction) {
+      return { success: false, message: "Go where?" };
+    }
+
+    const exit = room.exits[direction];
+    if (!exit) {
+      return { success: false, message: "You can't go that way." };
+    }
+
+    // Locked doors open for a carried key that isn't used up
+    let unlockText = '';
+    const door = exit.door;
+    if (
+      door?.keyId && !door.consumeKey &&
+      this.getDoorState(session, room, direction) === 'locked' &&
+      this.hasItem(session, door.keyId)
+    ) {
+      unlockText = this.unlockDoor(session, room, direction) + '\n\n';
+    }
+
+    const canPass = this.canUseExit(exit, session, room, direction);
+    if (!canPass.allowed) {
+      return { success: false, message: canPass.message! };
+    }
+
+    return this.enterThrough(session, room, direction, unlockText);
+  }
+
+  // Move the player through an exit they are allowed to use, running the
+  // hooks of both rooms and the entry hazards; text goes before the
+  // travel text
+  private enterThrough(session: GameSession, room: Room, direction: string, text: string): CommandResult {
+    const exit = room.exits[direction];
+    const newRoom = this.getRoom(exit.to);
+    if (!newRoom) {
+      return { success: false, message: "Error: That room doesn't exist." };
+    }
+
+    // Exit hooks of the room being left; a hook that starts a fight or
+    // kills the player stops the move
+    const departure = this.applyHooks(session, room, 'onExit', { success: true, message: '' });
+    if (departure.died || departure.combatTriggered) {
+      return departure;
+    }
+
+    // Move player
+    const previousRoom = session.player.location;
+    session.player.location = exit.to;
+    session.player.previousLocation = previousRoom;
+
+    // Mark room as visited
+    const firstVisit = !session.player.visitedRooms.includes(exit.to);
+    if (firstVisit) {
+      session.player.visitedRooms.push(exit.to);
+    }
+
+    let message = text;
+    message += departure.message ? departure.message + '\n\n' : '';
+    message += exit.travelText ? exit.travelText + '\n\n' : '';
+    message += this.getRoomDescription(newRoom, session);
+
+    // Entry hazards
+    const hazardLog = this.hazards.apply(newRoom, session.player, 'enter');
+    if (hazardLog.length > 0) {
+      message += `\n\n${hazardLog.join('\n')}`;
+    }
+    if (session.player.hp <= 0) {
+      const death = this.handleDeath(session, []);
+      return { ...death, message: `${message}\n\n${death.message}` };
+    }
+
+    let result = this.applyHooks(session, newRoom, 'onEnter', {
+      success: true,
+      message,
+      roomChanged: true,
+      stateChanges: {
+        ...departure.stateChanges,
+        location: exit.to,
+        visitedRooms: session.player.visitedRooms,
+        hp: session.player.hp,
+        mp: session.player.mp,
+        statusEffects: session.player.statusEffects,
+      },
+    }, firstVisit);
+    if (result.died || result.combatTriggered) {
+      return result;
+    }
+    if (firstVisit) {
+      result = this.grantXp(session, result, this.config.xpRoomDiscovery, `discovered ${newRoom.identity.canonicalName}`);
+    }
+
+    // Check for hostile NPCs (combat trigger), including any a hook spawned
+    const hostileNpc = newRoom.npcs.find(npc =>
+      npc.hostile && this.isNpcPresent(session, newRoom, npc)
+    );
+    if (hostileNpc) {
+      const combat = this.startCombat(session, hostileNpc, newRoom);
+      result.message += `\n\n**${combat.name} attacks!**`;
+      result.combatTriggered = true;
+      result.combat = this.combat.toUpdate(combat, [`The ${combat.name} attacks!`]);
+    }
+
+    return result;
+  }
+
+  private async handleTake(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    if (!command.noun) {
+      return { success: false, message: "Take what?" };
+    }
+
+    // "take X from Y" only looks inside container Y
+    let container: RoomObject | undefined;
+    if (command.indirectObject) {
+      container = this.getRoomObjects(session, room).find(o =>
+        o.container && this.objectMatches(o, command.indirectObject!)
+      );
+      if (!container) {
+        return { success: false, message: `You don't see any "${command.indirectObject}" to take things from.` };
+      }
+      if (!this.isContainerOpen(session, container)) {
+        return { success: false, message: `The ${container.name} is closed.` };
+      }
+    }
+
+    const candidates = container
+      ? this.getContainerContents(session, container)
+      : this.getRoomObjects(session, room);
+    const obj = candidates.find(o => 
+      o.takeable && this.objectMatches(o, command.noun!)
+    );
+
+    if (!obj) {
+      const where = container ? ` from the ${container.name}` : '';
+      return { success: false, message: `You can't take "${command.noun}"${where}.` };
+    }
+
+    if (!this.items.canCarry(session.player, this.getObjectItem(obj), this.config.maxInventoryWeight)) {
+      return { success: false, message: `The ${obj.name} is too heavy to carry along with everything else.` };
+    }
+    
+    this.giveItem(session, obj);
+
+    return {
+      success: true,
+      message: container ? `You take the ${obj.name} from the ${container.name}.` : `You take the ${obj.name}.`,
+      stateChanges: {
+        inventory: session.player.inventory,
+      },
+    };
+  }
+
+  private async handleDrop(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    if (!command.noun) {
+      return { success: false, message: "Drop what?" };
+    }
+
+    const item = this.findInventoryItem(session, command.noun);
+    if (!item) {
+      return { success: false, message: `You don't have "${command.noun}".` };
+    }
+
+    // Leave the object in the current room
+    const obj = this.takeFromInventory(session, item.id);
+    if (obj) {
+      session.world.setObjectLocation(obj.id, room.identity.id);
+    }
+
+    return {
+      success: true,
+      message: `You drop the ${item.name}.`,
+      stateChanges: {
+        inventory: session.player.inventory,
+      },
+    };
+  }
+
+  private async handleInventory(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    if (session.player.inventory.length === 0) {
+      return { success: true, message: "You are carrying nothing." };
+    }
+
+    const items = session.player.inventory.map(item => 
+      `  - ${item.name}${item.quantity > 1 ? ` (x${item.quantity})` : ''}`
+    ).join('\n');
+    const weight = Math.round(this.items.getCarriedWeight(session.player) * 10) / 10;
+
+    return {
+      success: true,
+      message: `You are carrying:\n${items}\n\nWeight: ${weight} / ${this.config.maxInventoryWeight}`,
+    };
+  }
+
+  private async handleUse(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Use what?" };
+    }
+
+    const item = this.findInventoryItem(session, command.noun);
+    if (!item) {
+      return { success: false, message: `You don't have "${command.noun}".` };
+    }
+
+    if (command.indirectObject) {
+      if (session.inCombat) {
+        return { success: false, message: "There's no time for that in the middle of a fight!" };
+      }
+      return this.useItemOn(session, item, command.indirectObject);
+    }
+
+    const use = this.items.getItem(item.id)?.use;
+    if (!use) {
+      // Keys, tools and parts only do something when used on an object
+      const message = ['key', 'tool', 'weapon', 'component'].includes(item.category || '')
+        ? `Use the ${item.name} on what?`
+        : `You can't use the ${item.name}.`;
+      return { success: false, message };
+    }
+    if (!this.wouldHelp(session, use)) {
+      return { success: false, message: `You don't need the ${item.name} right now.` };
+    }
+
+    const log = [use.message, ...this.applyItemUse(session, item, use)];
+    const stateChanges = {
+      hp: session.player.hp,
+      mp: session.player.mp,
+      statusEffects: session.player.statusEffects,
+      inventory: session.player.inventory,
+    };
+
+    // Using an item in a fight takes the player's turn
+    if (session.inCombat && session.combat) {
+      const result = await this.resolveCombatRound(session, log);
+      return { ...result, stateChanges: { ...stateChanges, ...result.stateChanges } };
+    }
+
+    return { success: true, message: log.join('\n'), stateChanges };
+  }
+
+  // Apply an item's own use effect and spend a charge or unit of it
+  private applyItemUse(session: GameSession, item: InventoryItem, use: NonNullable<ItemDefinition['use']>): string[] {
+    const player = session.player;
+    const log: string[] = [];
+
+    if (use.hp && player.hp < player.maxHp) {
+      const before = player.hp;
+      player.hp = Math.min(player.maxHp, player.hp + use.hp);
+      log.push(`(+${player.hp - before} HP)`);
+    }
+    if (use.mp && player.mp < player.maxMp) {
+      const before = player.mp;
+      player.mp = Math.min(player.maxMp, player.mp + use.mp);
+      log.push(`(+${player.mp - before} MP)`);
+    }
+    for (const effectId of use.cureEffects || []) {
+      const cured = player.statusEffects.find(e => e.id === effectId);
+      if (cured && this.effects.remove(player, effectId)) {
+        log.push(`You are no longer affected by ${cured.name}.`);
+      }
+    }
+    if (use.applyEffect) {
+      log.push(...this.effects.apply(player, use.applyEffect));
+    }
+
+    if (use.reusable) return log;
+
+    if (use.charges && use.charges > 1) {
+      item.charges = (item.charges ?? use.charges) - 1;
+      if (item.charges > 0) {
+        log.push(`The ${item.name} has ${item.charges} ${item.charges === 1 ? 'use' : 'uses'} left.`);
+        return log;
+      }
+      delete item.charges;
+    }
+
+    const obj = this.takeFromInventory(session, item.id);
+    if (obj) {
+      session.world.setObjectLocation(obj.id, 'hidden');
+    }
+    return log;
+  }
+
+  // Don't waste a healing item that would change nothing
+  private wouldHelp(session: GameSession, use: NonNullable<ItemDefinition['use']>): boolean {
+    const player = session.player;
+    return !!use.applyEffect ||
+      (!!use.hp && player.hp < player.maxHp) ||
+      (!!use.mp && player.mp < player.maxMp) ||
+      (use.cureEffects?.some(id => player.statusEffects.some(e => e.id === id)) ?? false) ||
+      (!use.hp && !use.mp && !use.cureEffects);
+  }
+
+  // Use an item on a room object or exit: object use effects first, then
+  // keys on the doors and containers they fit
+  private useItemOn(session: GameSession, item: InventoryItem, targetName: string): CommandResult {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    const roomObjects = this.getRoomObjects(session, room);
+    const target = roomObjects.find(obj => obj.useEffects?.[item.id] && this.objectMatches(obj, targetName));
+    if (target) {
+      const effect = target.useEffects![item.id];
+      const appliedKey = `used_${item.id}_${target.id}`;
+      if (this.getRoomFlag(session, room, appliedKey)) {
+        return { success: false, message: `You've already used the ${item.name} on the ${target.name}.` };
+      }
+
+      session.world.setRoomFlag(room.identity.id, appliedKey, true);
+      this.applyObjectEffect(session, room, effect);
+      if (effect.openContainer && target.container) {
+        session.world.setObjectFlag(target.id, 'locked', false);
+        session.world.setObjectFlag(target.id, 'open', true);
+      }
+      if (effect.consumeItem) {
+        const obj = this.takeFromInventory(session, item.id);
+        if (obj) {
+          session.world.setObjectLocation(obj.id, 'hidden');
+        }
+      }
+
+      const contents = effect.openContainer && target.container ? `\n${this.describeContainer(session, target)}` : '';
+      return {
+        success: true,
+        message: `${effect.message}${contents}`,
+        stateChanges: {
+          inventory: session.player.inventory,
+        },
+      };
+    }
+
+    const container = roomObjects.find(obj => obj.container && this.objectMatches(obj, targetName));
+    if (container && container.container!.keyId === item.id && this.isContainerLocked(session, container)) {
+      session.world.setObjectFlag(container.id, 'locked', false);
+      return { success: true, message: `You unlock the ${container.name} with the ${item.name}.` };
+    }
+
+    const direction = container ? undefined : this.findDoor(session, room, targetName);
+    if (direction && room.exits[direction].door!.keyId === item.id && this.getDoorState(session, room, direction) === 'locked') {
+      return {
+        success: true,
+        message: this.unlockDoor(session, room, direction),
+        stateChanges: {
+          inventory: session.player.inventory,
+        },
+      };
+    }
+
+    const named = container || roomObjects.find(obj => this.objectMatches(obj, targetName));
+    if (!named && !direction) {
+      return { success: false, message: `You don't see any "${targetName}" here.` };
+    }
+    return { success: false, message: `Using the ${item.name} on the ${named?.name || targetName} does nothing.` };
+  }
+
+  private async handleTurn(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Turn what?" };
+    }
+
+    // Check if we have a preposition (on/off)
+    let action = command.preposition;
+    let itemName = command.noun;
+    
+    // If no preposition, try to parse from noun (e.g., "turn on flashlight" parsed as noun="on flashlight")
+    if (!action) {
+      const parts = command.noun.split(' ');
+      if (parts.length < 2) {
+        return { success: false, message: "Turn what on or off?" };
+      }
+      action = parts[0].toLowerCase();
+      itemName = parts.slice(1).join(' ');
+    }
+
+    if (action === 'on') {
+      return this.handleLight(session, { ...command, noun: itemName });
+    } else if (action === 'off') {
+      return this.handleExtinguish(session, { ...command, noun: itemName });
+    } else {
+      return { success: false, message: "You can only turn things on or off." };
+    }
+  }
+
+  private async handleLight(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Light what?" };
+    }
+
+    // Check if item is equipped in light_source slot
+    const equippedLightId = session.player.equippedItems.light_source;
+    
+    if (!equippedLightId) {
+      return { success: false, message: `You need to equip a light source first before you can turn it on.` };
+    }
+
+    // Find the equipped item definition to check if command matches
+    const light = this.items.getItem(equippedLightId);
+    const matchesEquipped = !!light && this.items.matches(light, command.noun);
+
+    if (!matchesEquipped) {
+      return { success: false, message: `You don't have "${command.noun}" equipped as a light source.` };
+    }
+
+    // Check if already on
+    if (session.player.flags[`${equippedLightId}_on`]) {
+      return { success: false, message: "The light is already on." };
+    }
+
+    // Turn on the light
+    session.player.flags[`${equippedLightId}_on`] = true;
+    
+    return { 
+      success: true, 
+      message: `You turn on the ${light!.name}. A bright beam illuminates the area.`,
+      stateChanges: {
+        flags: session.player.flags,
+      },
+    };
+  }
+
+  private async handleExtinguish(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Extinguish what?" };
+    }
+
+    // Check if item is equipped in light_source slot
+    const equippedLightId = session.player.equippedItems.light_source;
+    
+    if (!equippedLightId) {
+      return { success: false, message: `You don't have a light source equipped.` };
+    }
+
+    // Find the equipped item definition to check if command matches
+    const light = this.items.getItem(equippedLightId);
+    const matchesEquipped = !!light && this.items.matches(light, command.noun);
+
+    if (!matchesEquipped) {
+      return { success: false, message: `You don't have "${command.noun}" equipped as a light source.` };
+    }
+
+    // Check if already off
+    if (!session.player.flags[`${equippedLightId}_on`]) {
+      return { success: false, message: "The light is not on." };
+    }
+
+    // Turn off the light
+    session.player.flags[`${equippedLightId}_on`] = false;
+    
+    return { 
+      success: true, 
+      message: `You turn off the ${light!.name}. The beam of light disappears.`,
+      stateChanges: {
+        flags: session.player.flags,
+      },
+    };
+  }
+
+  private async handleOpen(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Open what?" };
+    }
+
+    const room = this.getCurrentRoom(session);
+    const obj = room && this.getRoomObjects(session, room).find(o => this.objectMatches(o, command.noun!));
+    const doorDirection = room && !obj?.container ? this.findDoor(session, room, command.noun) : undefined;
+    if (room && doorDirection) {
+      return this.openDoor(session, room, doorDirection, obj?.name || `way ${doorDirection}`);
+    }
+    if (!room || !obj?.container) {
+      return { success: false, message: `You can't open the ${command.noun}.` };
+    }
+    if (this.isContainerOpen(session, obj)) {
+      return { success: false, message: `The ${obj.name} is already open.` };
+    }
+    if (this.isContainerLocked(session, obj)) {
+      return { success: false, message: `The ${obj.name} is locked.` };
+    }
+
+    session.world.setObjectFlag(obj.id, 'open', true);
+    const openFlag = obj.stateChanges?.on_open;
+    if (openFlag) {
+      session.world.setRoomFlag(room.identity.id, openFlag, true);
+    }
+
+    const contents = this.getContainerContents(session, obj);
+    const inside = contents.length > 0
+      ? `Inside you see: ${contents.map(o => o.name).join(', ')}.`
+      : "It's empty.";
+    return { success: true, message: `You open the ${obj.name}. ${inside}` };
+  }
+
+  // Doors have no separate open state: opening one means getting it unlocked
+  private openDoor(session: GameSession, room: Room, direction: string, name: string): CommandResult {
+    const door = room.exits[direction].door!;
+    const state = this.getDoorState(session, room, direction);
+    if (state === 'open') {
+      return { success: false, message: `The ${name} is already open.` };
+    }
+    if (state === 'locked' && door.keyId && !door.consumeKey && this.hasItem(session, door.keyId)) {
+      return { success: true, message: this.unlockDoor(session, room, direction) };
+    }
+    return { success: false, message: `The ${name} is ${state}.` };
+  }
+
+  private async handleClose(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      return { success: false, message: "Close what?" };
+    }
+
+    const room = this.getCurrentRoom(session);
+    const obj = room && this.getRoomObjects(session, room).find(o => this.objectMatches(o, command.noun!));
+    if (!obj?.container) {
+      return { success: false, message: `You can't close the ${command.noun}.` };
+    }
+    if (!this.isContainerOpen(session, obj)) {
+      return { success: false, message: `The ${obj.name} is already closed.` };
+    }
+
+    session.world.setObjectFlag(obj.id, 'open', false);
+    return { success: true, message: `You close the ${obj.name}.` };
+  }
+
+  private async handlePut(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    if (!command.noun) {
+      return { success: false, message: "Put what?" };
+    }
+    if (!command.indirectObject) {
+      return { success: false, message: `Put the ${command.noun} where?` };
+    }
+
+    const item = this.findInventoryItem(session, command.noun);
+    if (!item) {
+      return { success: false, message: `You don't have "${command.noun}".` };
+    }
+
+    const container = this.getRoomObjects(session, room).find(o =>
+      o.container && this.objectMatches(o, command.indirectObject!)
+    );
+
+    // Putting a key into a lock (e.g. a power cell into its slot) unlocks it
+    const doorDirection = container ? undefined : this.findDoor(session, room, command.indirectObject);
+    if (doorDirection) {
+      const door = room.exits[doorDirection].door!;
+      if (item.id !== door.keyId || this.getDoorState(session, room, doorDirection) !== 'locked') {
+        return { success: false, message: `You can't put the ${item.name} in the ${command.indirectObject}.` };
+      }
+      return {
+        success: true,
+        message: this.unlockDoor(session, room, doorDirection),
+        stateChanges: {
+          inventory: session.player.inventory,
+        },
+      };
+    }
+
+    if (!container) {
+      return { success: false, message: `You can't put anything in the ${command.indirectObject}.` };
+    }
+    if (!this.isContainerOpen(session, container)) {
+      return { success: false, message: `The ${container.name} is closed.` };
+    }
+
+    const capacity = container.container!.capacity;
+    if (capacity !== undefined && this.getContainerContents(session, container).length >= capacity) {
+      return { success: false, message: `The ${container.name} is full.` };
+    }
+
+    const obj = this.takeFromInventory(session, item.id);
+    if (obj) {
+      session.world.setObjectLocation(obj.id, `container:${container.id}`);
+    }
+
+    return {
+      success: true,
+      message: `You put the ${item.name} in the ${container.name}.`,
+      stateChanges: {
+        inventory: session.player.inventory,
+      },
+    };
+  }
+
+  private async handleUnlock(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    const key = command.indirectObject ? this.findInventoryItem(session, command.indirectObject) : undefined;
+    if (command.indirectObject && !key) {
+      return { success: false, message: `You don't have "${command.indirectObject}".` };
+    }
+
+    const container = command.noun
+      ? this.getRoomObjects(session, room).find(o => o.container && this.objectMatches(o, command.noun!))
+      : undefined;
+    if (container) {
+      const keyId = container.container!.keyId;
+      if (!this.isContainerLocked(session, container)) {
+        return { success: false, message: `The ${container.name} isn't locked.` };
+      }
+      if (!keyId || !this.hasItem(session, keyId) || (key && key.id !== keyId)) {
+        return { success: false, message: `You don't have anything that unlocks the ${container.name}.` };
+      }
+      session.world.setObjectFlag(container.id, 'locked', false);
+      return { success: true, message: `You unlock the ${container.name}.` };
+    }
+
+    const direction = this.findDoor(session, room, command.noun);
+    if (!direction) {
+      return { success: false, message: command.noun ? `You can't unlock the ${command.noun}.` : "Unlock what?" };
+    }
+
+    const door = room.exits[direction].door!;
+    const state = this.getDoorState(session, room, direction);
+    if (state === 'open') {
+      return { success: false, message: `The way ${direction} isn't locked.` };
+    }
+    if (state === 'sealed') {
+      return { success: false, message: `The way ${direction} is sealed. No key will open it.` };
+    }
+    if (!door.keyId || !this.hasItem(session, door.keyId) || (key && key.id !== door.keyId)) {
+      const attempt = key ? `The ${key.name} doesn't work here.` : "You don't have anything that unlocks it.";
+      return { success: false, message: attempt };
+    }
+
+    return {
+      success: true,
+      message: this.unlockDoor(session, room, direction),
+      stateChanges: {
+        inventory: session.player.inventory,
+      },
+    };
+  }
+
+  private async handleLock(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: You are nowhere." };
+    }
+
+    const container = command.noun
+      ? this.getRoomObjects(session, room).find(o => o.container && this.objectMatches(o, command.noun!))
+      : undefined;
+    if (container) {
+      const keyId = container.container!.keyId;
+      if (this.isContainerLocked(session, container)) {
+        return { success: false, message: `The ${container.name} is already locked.` };
+      }
+      if (!keyId || !this.hasItem(session, keyId)) {
+        return { success: false, message: `You have nothing to lock the ${container.name} with.` };
+      }
+      session.world.setObjectFlag(container.id, 'open', false);
+      session.world.setObjectFlag(container.id, 'locked', true);
+      return { success: true, message: `You close and lock the ${container.name}.` };
+    }
+
+    const direction = this.findDoor(session, room, command.noun);
+    if (!direction) {
+      return { success: false, message: command.noun ? `You can't lock the ${command.noun}.` : "Lock what?" };
+    }
+
+    const door = room.exits[direction].door!;
+    if (this.getDoorState(session, room, direction) !== 'open') {
+      return { success: false, message: `The way ${direction} is already shut.` };
+    }
+    if (!door.keyId || door.consumeKey || !this.hasItem(session, door.keyId)) {
+      return { success: false, message: `You have no way to lock the way ${direction}.` };
+    }
+
+    this.setDoorState(session, room, direction, 'locked');
+    return { success: true, message: `You lock the way ${direction}.` };
+  }
+
+  // Find a carried item by id, name or catalog synonym
+  private findInventoryItem(session: GameSession, noun: string) {
+    return session.player.inventory.find(i => {
+      const item = this.items.getItem(i.id);
+      return item ? this.items.matches(item, noun) : i.id === noun || i.name.toLowerCase().includes(noun.toLowerCase());
+    });
+  }
+
+  private async handleAttack(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const combat = session.combat;
+    if (!session.inCombat || !combat) {
+      return { success: false, message: "There's nothing to attack here." };
+    }
+
+    if (command.noun && !combat.name.toLowerCase().includes(command.noun.toLowerCase()) && combat.npcId !== command.noun) {
+      return { success: false, message: `You're fighting the ${combat.name}, not "${command.noun}".` };
+    }
+
+    const log = this.combat.playerAttack(combat, session.player, this.getEquippedWeapon(session));
+    return this.resolveCombatRound(session, log);
+  }
+
+  private async handleFlee(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    const combat = session.combat;
+    if (!session.inCombat || !combat) {
+      return { success: false, message: "There's nothing to flee from." };
+    }
+
+    // The only way out is back the way the player came, and only if that
+    // exit can still be used
+    const room = this.getCurrentRoom(session);
+    const direction = room && Object.keys(room.exits).find(dir => room.exits[dir].to === session.player.previousLocation);
+    if (!room || !direction || !this.canUseExit(room.exits[direction], session, room, direction).allowed) {
+      return this.resolveCombatRound(session, [`You look for a way out, but there's no way back!`]);
+    }
+    if (!this.combat.attemptFlee(session.player)) {
+      return this.resolveCombatRound(session, [`You try to break away, but the ${combat.name} cuts you off!`]);
+    }
+
+    const log = [`You break away from the ${combat.name} and flee!`];
+    this.endCombat(session);
+    const result = this.enterThrough(session, room, direction, `${log.join('\n')}\n\n`);
+    return { ...result, combat: result.combat || this.combat.toUpdate(combat, log, 'flee') };
+  }
+
+  // Engage a hostile NPC
+  private startCombat(session: GameSession, npc: RoomNPC, room: Room) {
+    const combat = this.combat.createCombat(npc, room.identity.id);
+    session.inCombat = true;
+    session.combat = combat;
+    return combat;
+  }
+
+  private endCombat(session: GameSession): void {
+    session.inCombat = false;
+    session.combat = undefined;
+  }
+
+  // Get the stats of the player's equipped weapon, if any
+  private getEquippedWeapon(session: GameSession): WeaponStats | undefined {
+    const weaponId = session.player.equippedItems.weapon;
+    const weapon = weaponId ? this.items.getItem(weaponId) : undefined;
+    if (!weapon) return undefined;
+    return { name: weapon.name, damage: weapon.damage || 0 };
+  }
 
-    // Mark room as visited
-    if (!session.player.visitedRooms.includes(exit.to)) {
-      session.player.visitedRooms.push(exit.to);
-    }
+  // Settle a combat round after the player's action: check for victory,
+  // let the enemy act, then check for defeat
+  private async resolveCombatRound(session: GameSession, log: string[]): Promise<CommandResult> {
+    const combat = session.combat!;
 
-    const newRoom = this.getRoom(exit.to);
-    if (!newRoom) {
-      session.player.location = previousRoom;
-      return { success: false, message: "Error: That room doesn't exist." };
+    if (combat.hp <= 0) {
+      return this.winCombat(session, log);
     }
 
-    // Check for hostile NPCs (combat trigger)
-    const hostileNpc = newRoom.npcs.find(npc => 
-      npc.hostile && this.checkNpcSpawnConditions(npc.spawnConditions, newRoom, session.player)
-    );
-
-    let combatTriggered = false;
-    let message = exit.travelText ? exit.travelText + '\n\n' : '';
-    message += this.getRoomDescription(newRoom, session.player);
+    log.push(...this.combat.enemyAttack(combat, session.player));
+    combat.round++;
 
-    if (hostileNpc) {
-      message += `\n\n**${hostileNpc.name} attacks!**`;
-      combatTriggered = true;
-      session.inCombat = true;
-      session.currentEnemy = hostileNpc.id;
+    if (session.player.hp <= 0) {
+      return this.handleDeath(session, log);
     }
 
     return {
       success: true,
-      message,
-      roomChanged: true,
-      combatTriggered,
+      message: log.join('\n'),
+      combat: this.combat.toUpdate(combat, log),
       stateChanges: {
-        location: exit.to,
-        visitedRooms: session.player.visitedRooms,
+        hp: session.player.hp,
       },
     };
   }
 
-  private async handleTake(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    const room = this.getCurrentRoom(session);
-    if (!room) {
-      return { success: false, message: "Error: You are nowhere." };
-    }
-
-    if (!command.noun) {
-      return { success: false, message: "Take what?" };
-    }
-
-    const obj = room.objects.find(o => 
-      o.takeable && !o.taken && 
-      (o.id === command.noun || 
-       o.name.toLowerCase().includes(command.noun!.toLowerCase()) ||
-       o.synonyms?.some(synonym => synonym.toLowerCase().includes(command.noun!.toLowerCase())))
-    );
+  private winCombat(session: GameSession, log: string[]): CommandResult {
+    const combat = session.combat!;
+    const room = this.getRoom(combat.roomId);
+    const npc = room?.npcs.find(n => n.id === combat.npcId);
 
-    if (!obj) {
-      return { success: false, message: `You can't take "${command.noun}".` };
+    // Defeated enemies stay dead: satisfy their despawn conditions in this world
+    if (room && npc) {
+      for (const condition of npc.despawnConditions) {
+        session.world.setRoomFlag(combat.roomId, condition, true);
+      }
     }
+    session.world.setRoomFlag(combat.roomId, 'after_combat', true);
 
-    // Check if already taken
-    if (obj.taken) {
-      return { success: false, message: `You've already taken that.` };
-    }
-    
-    // Add to inventory
-    session.player.inventory.push({
-      id: obj.id,
-      name: obj.name,
-      description: obj.description,
-      quantity: 1,
-      equippable: obj.equipmentSlot !== undefined,
-      equipmentSlot: obj.equipmentSlot,
-      usable: true,
-      weight: 1,
-    });
+    log.push(combat.defeatMessage || `The ${combat.name} collapses.`);
+    this.endCombat(session);
 
-    // Mark as taken (don't remove from room, just mark it)
-    obj.taken = true;
+    const xp = this.combat.getEnemy(combat.npcId)?.xp || 0;
+    log.push(...this.progression.award(session.player, xp, `defeated the ${combat.name}`));
 
     return {
       success: true,
-      message: `You take the ${obj.name}.`,
-      stateChanges: {
-        inventory: session.player.inventory,
-      },
+      message: `${log.join('\n')}\n\n**Victory!**`,
+      combat: this.combat.toUpdate(combat, log, 'victory'),
+      stateChanges: this.progressionChanges(session.player),
     };
   }
 
-  private async handleDrop(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Drop what?" };
-    }
-
-    const itemIndex = session.player.inventory.findIndex(i => 
-      i.id === command.noun || i.name.toLowerCase().includes(command.noun!.toLowerCase())
-    );
-
-    if (itemIndex === -1) {
-      return { success: false, message: `You don't have "${command.noun}".` };
+  // Death (GAME.md §5): respawn in the previous room with HP/MP penalties.
+  // The world state is left alone, so defeated enemies stay dead.
+  private handleDeath(session: GameSession, log: string[]): CommandResult {
+    const combat = session.combat;
+    this.endCombat(session);
+
+    const player = session.player;
+    const previousRoom = player.previousLocation ? this.getRoom(player.previousLocation) : undefined;
+    const respawnRoom = previousRoom && previousRoom.identity.id !== player.location &&
+      !previousRoom.npcs.some(npc => npc.hostile && this.isNpcPresent(session, previousRoom, npc))
+      ? previousRoom
+      : this.getRoom(STARTING_ROOM);
+
+    player.location = respawnRoom ? respawnRoom.identity.id : STARTING_ROOM;
+    player.previousLocation = undefined;
+    player.hp = Math.max(1, player.maxHp - this.config.deathHpPenalty);
+    player.mp = Math.max(0, player.maxMp - this.config.deathMpPenalty);
+    player.statusEffects = [];
+
+    log.push('**You have died.**');
+    let message = log.join('\n');
+    if (respawnRoom) {
+      message += `\n\nYou gasp back to awareness, weakened but alive.\n\n${this.getRoomDescription(respawnRoom, session)}`;
     }
 
-    const item = session.player.inventory[itemIndex];
-    session.player.inventory.splice(itemIndex, 1);
-
     return {
-      success: true,
-      message: `You drop the ${item.name}.`,
+      success: false,
+      message,
+      roomChanged: true,
+      died: true,
+      combat: combat ? this.combat.toUpdate(combat, log, 'defeat') : undefined,
       stateChanges: {
-        inventory: session.player.inventory,
+        hp: player.hp,
+        mp: player.mp,
+        location: player.location,
+        statusEffects: player.statusEffects,
       },
     };
   }
 
-  private async handleExamine(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    return this.handleLook(session, command);
-  }
-
-  private async handleInventory(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
-    if (session.player.inventory.length === 0) {
-      return { success: true, message: "You are carrying nothing." };
+  // Room-specific verbs declared in the room's specialVerbs
+  private async handleSpecialVerb(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    const special = room?.specialVerbs[command.verb];
+    if (!room || !special) {
+      return { success: false, message: `I don't know how to "${command.verb}".` };
     }
 
-    const items = session.player.inventory.map(item => 
-      `  - ${item.name}${item.quantity > 1 ? ` (x${item.quantity})` : ''}`
-    ).join('\n');
-
-    return { success: true, message: `You are carrying:\n${items}` };
-  }
-
-  private async handleUse(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Use what?" };
+    if (special.targetId) {
+      const target = this.getRoomObjects(session, room).find(obj => obj.id === special.targetId);
+      if (!target || (command.noun && !this.objectMatches(target, command.noun))) {
+        return { success: false, message: `You can't ${command.verb} that here.` };
+      }
+    } else if (command.noun) {
+      return { success: false, message: `You can't ${command.verb} that.` };
     }
 
-    const item = session.player.inventory.find(i => 
-      i.id === command.noun || i.name.toLowerCase().includes(command.noun!.toLowerCase())
-    );
-
-    if (!item) {
-      return { success: false, message: `You don't have "${command.noun}".` };
+    if (!this.meetsSpecialVerbRequirement(session, room, special.requires)) {
+      return { success: false, message: special.failureMessage };
     }
 
-    if (!item.usable) {
-      return { success: false, message: `You can't use the ${item.name}.` };
+    for (const [key, value] of Object.entries(special.stateChanges || {})) {
+      session.world.setRoomFlag(room.identity.id, key, value);
+      session.world.setFlag(key, value);
     }
 
-    // This would be expanded with specific item use handlers
-    return { success: true, message: `You use the ${item.name}.` };
+    const result: CommandResult = { success: true, message: special.successMessage };
+    return special.xp ? this.grantXp(session, result, special.xp, 'objective complete') : result;
   }
 
-  private async handleTurn(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Turn what?" };
-    }
+  private meetsSpecialVerbRequirement(
+    session: GameSession,
+    room: Room,
+    requires: SpecialVerbRequirement | undefined
+  ): boolean {
+    if (!requires) return true;
 
-    // Check if we have a preposition (on/off)
-    let action = command.preposition;
-    let itemName = command.noun;
-    
-    // If no preposition, try to parse from noun (e.g., "turn on flashlight" parsed as noun="on flashlight")
-    if (!action) {
-      const parts = command.noun.split(' ');
-      if (parts.length < 2) {
-        return { success: false, message: "Turn what on or off?" };
-      }
-      action = parts[0].toLowerCase();
-      itemName = parts.slice(1).join(' ');
+    if (requires.state) {
+      const current = this.getRoomFlag(session, room, requires.state) || session.world.getFlag(requires.state);
+      if (current !== (requires.value ?? true)) return false;
     }
-
-    if (action === 'on') {
-      return this.handleLight(session, { ...command, noun: itemName });
-    } else if (action === 'off') {
-      return this.handleExtinguish(session, { ...command, noun: itemName });
-    } else {
-      return { success: false, message: "You can only turn things on or off." };
+    if (requires.item && !session.player.inventory.some(item => item.id === requires.item)) {
+      return false;
+    }
+    if (requires.skill && !session.player.skills.includes(requires.skill)) {
+      return false;
+    }
+    if (requires.condition && !this.conditions.check(requires.condition, this.conditionContext(session, room))) {
+      return false;
     }
+    return true;
   }
 
-  private async handleLight(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+  private async handleCast(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
     if (!command.noun) {
-      return { success: false, message: "Light what?" };
+      return { success: false, message: "Cast what spell?" };
     }
 
-    // Check if item is equipped in light_source slot
-    const equippedLightId = session.player.equippedItems.light_source;
-    
-    if (!equippedLightId) {
-      return { success: false, message: `You need to equip a light source first before you can turn it on.` };
+    const player = session.player;
+    const spell = this.spells.findSpell(command.noun);
+    if (!spell || !player.skills.includes(spell.id)) {
+      return { success: false, message: `You don't know a spell called "${command.noun}".` };
     }
 
-    // Find the equipped item definition to check if command matches
-    let matchesEquipped = false;
-    for (const [_, room] of this.rooms) {
-      const obj = room.objects.find(o => 
-        o.id === equippedLightId && 
-        (o.id === command.noun || 
-         o.name.toLowerCase().includes(command.noun!.toLowerCase()) ||
-         o.synonyms?.some(synonym => synonym.toLowerCase().includes(command.noun!.toLowerCase())))
-      );
-      if (obj) {
-        matchesEquipped = true;
-        break;
-      }
+    const cost = this.spells.getCost(spell, player);
+    if (player.mp < cost) {
+      return { success: false, message: `You don't have enough mental energy to cast ${spell.name}. (${cost} MP needed)` };
     }
 
-    if (!matchesEquipped) {
-      return { success: false, message: `You don't have "${command.noun}" equipped as a light source.` };
-    }
+    if (session.inCombat && session.combat) {
+      if (!spell.combat && !spell.effect) {
+        return { success: false, message: `${spell.name} is of no use in a fight.` };
+      }
 
-    // Check if already on
-    if (session.player.flags[`${equippedLightId}_on`]) {
-      return { success: false, message: "The light is already on." };
+      this.spells.spend(spell, player);
+      const log = spell.combat
+        ? this.combat.castSpell(session.combat, spell, this.spells.getPower(spell, player))
+        : [];
+      if (spell.effect) {
+        log.push(...this.effects.apply(player, spell.effect));
+      }
+      const result = await this.resolveCombatRound(session, log);
+      return {
+        ...result,
+        stateChanges: {
+          ...result.stateChanges,
+          mp: player.mp,
+          fatigue: player.fatigue,
+          statusEffects: player.statusEffects,
+        },
+      };
     }
 
-    // Turn on the light
-    session.player.flags[`${equippedLightId}_on`] = true;
-    
-    return { 
-      success: true, 
-      message: "You turn on the flashlight. A bright beam illuminates the area.",
-      stateChanges: {
-        flags: session.player.flags,
-      },
-    };
+    return this.castOnEnvironment(session, command, spell, cost);
   }
 
-  private async handleExtinguish(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Extinguish what?" };
+  // Outside of combat a spell works on whatever object responds to it
+  private castOnEnvironment(
+    session: GameSession,
+    command: ParsedCommand,
+    spell: SpellDefinition,
+    cost: number
+  ): CommandResult {
+    const room = this.getCurrentRoom(session);
+    if (!room) {
+      return { success: false, message: "Error: Current room not found." };
     }
 
-    // Check if item is equipped in light_source slot
-    const equippedLightId = session.player.equippedItems.light_source;
-    
-    if (!equippedLightId) {
-      return { success: false, message: `You don't have a light source equipped.` };
-    }
+    const candidates = this.getRoomObjects(session, room).filter(obj => obj.spellEffects?.[spell.id]);
+    const target = command.indirectObject
+      ? candidates.find(obj => this.objectMatches(obj, command.indirectObject!))
+      : candidates[0];
 
-    // Find the equipped item definition to check if command matches
-    let matchesEquipped = false;
-    for (const [_, room] of this.rooms) {
-      const obj = room.objects.find(o => 
-        o.id === equippedLightId && 
-        (o.id === command.noun || 
-         o.name.toLowerCase().includes(command.noun!.toLowerCase()) ||
-         o.synonyms?.some(synonym => synonym.toLowerCase().includes(command.noun!.toLowerCase())))
-      );
-      if (obj) {
-        matchesEquipped = true;
-        break;
-      }
+    // Spells with a status effect can always be cast on yourself
+    if (spell.effect && !command.indirectObject && (!spell.environmental || !target)) {
+      this.spells.spend(spell, session.player);
+      const intro = spell.castMessage ? `${spell.castMessage}\n\n` : '';
+      const log = this.effects.apply(session.player, spell.effect);
+      return {
+        success: true,
+        message: `${intro}${log.join('\n') || `You renew your ${spell.name}.`}\n\n(${cost} MP)`,
+        stateChanges: {
+          mp: session.player.mp,
+          fatigue: session.player.fatigue,
+          statusEffects: session.player.statusEffects,
+        },
+      };
     }
 
-    if (!matchesEquipped) {
-      return { success: false, message: `You don't have "${command.noun}" equipped as a light source.` };
+    if (!spell.environmental || !target) {
+      const where = command.indirectObject ? ` on the ${command.indirectObject}` : '';
+      return {
+        success: false,
+        message: `You gather your focus, but casting ${spell.name}${where} would accomplish nothing here.`,
+      };
     }
 
-    // Check if already off
-    if (!session.player.flags[`${equippedLightId}_on`]) {
-      return { success: false, message: "The light is not on." };
+    const effect = target.spellEffects![spell.id];
+    const appliedKey = `spell_${spell.id}_${target.id}`;
+    if (this.getRoomFlag(session, room, appliedKey)) {
+      return { success: false, message: `The ${target.name} has already responded to ${spell.name}.` };
     }
 
-    // Turn off the light
-    session.player.flags[`${equippedLightId}_on`] = false;
-    
-    return { 
-      success: true, 
-      message: "You turn off the flashlight. The beam of light disappears.",
+    this.spells.spend(spell, session.player);
+    session.world.setRoomFlag(room.identity.id, appliedKey, true);
+    this.applyObjectEffect(session, room, effect);
+
+    const intro = spell.castMessage ? `${spell.castMessage}\n\n` : '';
+    return {
+      success: true,
+      message: `${intro}${effect.message}\n\n(${cost} MP)`,
       stateChanges: {
-        flags: session.player.flags,
+        mp: session.player.mp,
+        fatigue: session.player.fatigue,
       },
     };
   }
 
-  private async handleOpen(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Open what?" };
+  // World changes shared by spell and item effects on room objects
+  private applyObjectEffect(session: GameSession, room: Room, effect: SpellEffect): void {
+    for (const [key, value] of Object.entries(effect.roomState || {})) {
+      session.world.setRoomFlag(room.identity.id, key, value);
     }
-    return { success: false, message: `You can't open the ${command.noun}.` };
-  }
-
-  private async handleClose(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Close what?" };
+    for (const [key, value] of Object.entries(effect.flags || {})) {
+      session.world.setFlag(key, value);
     }
-    return { success: false, message: `You can't close the ${command.noun}.` };
-  }
-
-  private async handleAttack(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!session.inCombat) {
-      return { success: false, message: "There's nothing to attack here." };
+    if (effect.unlockExit) {
+      this.setDoorState(session, room, effect.unlockExit, 'open');
     }
-
-    // Basic combat placeholder
-    return { success: true, message: "You attack!" };
   }
 
-  private async handleCast(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
-    if (!command.noun) {
-      return { success: false, message: "Cast what spell?" };
-    }
-
-    if (session.player.mp <= 0) {
-      return { success: false, message: "You don't have enough mental energy to cast spells." };
+  private async handleWait(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const turns = command.noun ? parseInt(command.noun, 10) : 1;
+    if (isNaN(turns) || turns < 1) {
+      return { success: false, message: "Wait how long? Try \"wait\" or \"wait 10\"." };
     }
 
-    // This would be expanded with specific spell handlers
-    return { success: false, message: `You don't know a spell called "${command.noun}".` };
+    const waited = Math.min(turns, MAX_WAIT_TURNS);
+    return {
+      success: true,
+      message: waited === 1 ? "Time passes." : `You settle in to wait for ${waited} turns.`,
+      turns: waited,
+    };
   }
 
   private async handleRest(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
-    if (session.inCombat) {
-      return { success: false, message: "You can't rest during combat!" };
-    }
-
     const hpRecovered = Math.min(
       this.config.restHpRecovery,
       session.player.maxHp - session.player.hp
@@ -669,57 +2730,180 @@ export class GameEngine {
 
     session.player.hp += hpRecovered;
     session.player.mp += mpRecovered;
+    // Resting clears psionic fatigue
+    session.player.fatigue = 0;
 
     return {
       success: true,
       message: `You rest for a while.\nHP recovered: ${hpRecovered}\nMP recovered: ${mpRecovered}`,
+      turns: this.config.restTurns,
       stateChanges: {
         hp: session.player.hp,
         mp: session.player.mp,
+        fatigue: session.player.fatigue,
       },
     };
   }
 
   private async handleHelp(_session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    const commands = [...this.verbs.getHelp()]
+      .map(([category, usages]) => `**${category}:** ${usages.join(', ')}`)
+      .join('\n');
     const helpText = `
 **Available Commands:**
 
-**Movement:** go [direction], north, south, east, west, up, down
-**Looking:** look, examine [object]
-**Items:** take [item], drop [item], use [item], inventory
-**Equipment:** equip [item], unequip [item]
-**Light:** turn on [item], turn off [item], light [item], extinguish [item]
-**Interaction:** open [object], close [object]
-**Combat:** attack, cast [spell]
-**Other:** rest, help, restart
+${commands}
 
 **Tips:**
 - Examine everything carefully
 - Equip weapons, armor, accessories, and lights from your inventory
 - Watch your HP and MP
+- Casting builds fatigue, which raises spell costs until you rest
 - Some paths may require items or skills
+- Use 'objectives' (or 'journal') to see what to do next
+- When asked which thing you mean, answer with a word or its number
+- Chain commands with periods or 'then': take medkit. n then look
+- Act on several things at once: take all, drop all except flashlight
+- 'it' and 'them' mean what you last mentioned; 'again' (or 'g') repeats your last command
 - Use flashlights to light up dark areas
 - Use 'restart' to begin again from the start
 `;
     return { success: true, message: helpText };
   }
 
+  private async handleObjectives(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    const log = this.quests.getLog(session.world);
+    const lines = [
+      `**Anchors captured:** ${log.anchorsCaptured}/${log.anchorCount}`,
+      `**Current objective:** ${log.currentObjective || 'None.'}`,
+    ];
+
+    for (const quest of log.quests) {
+      const kind = quest.type === 'anchor' ? `Anchor ${quest.anchor}` : `Anchor ${quest.anchor} subquest`;
+      lines.push('', `**${quest.name}** (${kind})${quest.complete ? ' — complete' : ''}`);
+      for (const objective of quest.objectives) {
+        lines.push(`  [${objective.done ? 'x' : ' '}] ${objective.text}`);
+      }
+    }
+
+    return { success: true, message: lines.join('\n') };
+  }
+
+  private async handleHint(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    const room = this.getCurrentRoom(session);
+    const definition = room ? this.hints.select(this.conditionContext(session, room)) : undefined;
+
+    if (!definition) {
+      // Nothing puzzling here; point the player at their objective instead
+      const objective = this.quests.getCurrentObjective(session.world);
+      const text = objective
+        ? `Nothing here needs solving right now. Your current objective: ${objective}`
+        : 'No hints available at this time.';
+      return {
+        success: true,
+        message: text,
+        modalData: { type: 'hint', data: { hint: text, hintsUsed: this.hints.countUsed(session.player) } },
+      };
+    }
+
+    const hint = this.hints.reveal(session.player, definition);
+    const hintsUsed = this.hints.countUsed(session.player);
+    return {
+      success: true,
+      message: `**${hint.tierName} (${hint.tier}/${hint.tierCount}):** ${hint.text}`,
+      stateChanges: { hintsUsed: session.player.hintsUsed },
+      modalData: { type: 'hint', data: { ...hint, hintsUsed } },
+    };
+  }
+
+  private async handleSave(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    const slot = SaveStore.normalizeName(command.noun || DEFAULT_SAVE_SLOT);
+    if (!slot) {
+      return { success: false, message: 'Save names can use letters, numbers, dashes and underscores.' };
+    }
+    if (slot === AUTOSAVE_SLOT) {
+      return { success: false, message: `The "${AUTOSAVE_SLOT}" slot is kept for autosaves. Pick another name.` };
+    }
+
+    try {
+      await this.saves.write(this.getSaveOwner(session), this.createSave(session, slot));
+    } catch (error) {
+      if (error instanceof SaveOwnerError) {
+        return { success: false, message: `The game can't be saved: ${this.describeOtherOwner(session.player.name)}.` };
+      }
+      console.error(`Save failed for ${session.player.name}:`, (error as Error).message);
+      return { success: false, message: 'Something went wrong and the game could not be saved.' };
+    }
+    return { success: true, message: `Game saved to "${slot}".` };
+  }
+
+  private async handleLoad(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (command.noun) {
+      const { save, error } = await this.readSlot(session, command.noun);
+      if (!save) {
+        return { success: false, message: error || 'That save could not be loaded.' };
+      }
+      return this.restoreSave(session, save, `Loaded "${save.slot}".`);
+    }
+
+    // Without a name, load the most recent save
+    const { saves: [save], error } = await this.listSaves(session);
+    if (error) {
+      return { success: false, message: error };
+    }
+    if (!save) {
+      return { success: false, message: 'You have no saved games.' };
+    }
+    return this.restoreSave(session, save, `Loaded "${save.slot}".`);
+  }
+
+  private async handleSaves(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
+    const { saves, damaged, error } = await this.listSaves(session);
+    if (error) {
+      return { success: false, message: error };
+    }
+    if (saves.length === 0 && damaged.size === 0) {
+      return { success: true, message: "You have no saved games. Type 'save [name]' to make one." };
+    }
+
+    const lines = saves.map(save => {
+      const room = this.rooms.get(save.player.location)?.identity.canonicalName || save.player.location;
+      const savedAt = save.savedAt.slice(0, 16).replace('T', ' ');
+      return `  - ${save.slot}: ${room}, level ${save.player.level} (${savedAt})`;
+    });
+    for (const [slot, error] of damaged) {
+      lines.push(`  - ${slot}: can't be loaded, ${error}`);
+    }
+    return { success: true, message: `**Saved games:**\n${lines.join('\n')}` };
+  }
+
+  // Send a save file to the client to download: a named slot, or the
+  // current game
+  private async handleExport(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
+    if (!command.noun) {
+      const save = this.createSave(session, 'export');
+      return { success: true, message: `Exporting "${save.slot}"...`, saveExport: save };
+    }
+
+    const { save, error } = await this.readSlot(session, command.noun);
+    if (!save) {
+      return { success: false, message: error || 'That save could not be exported.' };
+    }
+    // Older unsigned saves are signed on the way out so they can be imported
+    return { success: true, message: `Exporting "${save.slot}"...`, saveExport: this.codec.sign(save) };
+  }
+
   private async handleEquip(session: GameSession, command: ParsedCommand): Promise<CommandResult> {
     if (!command.noun) {
       return { success: false, message: "Equip what?" };
     }
 
     // Find item in inventory
-    const itemIndex = session.player.inventory.findIndex(i => 
-      i.id === command.noun || i.name.toLowerCase().includes(command.noun!.toLowerCase())
-    );
-
-    if (itemIndex === -1) {
+    const item = this.findInventoryItem(session, command.noun);
+    if (!item) {
       return { success: false, message: `You don't have "${command.noun}".` };
     }
 
-    const item = session.player.inventory[itemIndex];
-
     // Check if item is equippable
     if (!item.equippable || !item.equipmentSlot) {
       return { success: false, message: `You can't equip the ${item.name}.` };
@@ -744,7 +2928,7 @@ export class GameEngine {
     session.player.equippedItems[slot] = item.id;
 
     // Remove from inventory
-    session.player.inventory.splice(itemIndex, 1);
+    this.items.removeFromInventory(session.player, item.id);
 
     return {
       success: true,
@@ -766,22 +2950,12 @@ export class GameEngine {
     let equippedItemId: string | null = null;
 
     for (const [slot, itemId] of Object.entries(session.player.equippedItems)) {
-      if (itemId) {
-        // Check if the command matches this item by looking it up in rooms
-        for (const [_, room] of this.rooms) {
-          const obj = room.objects.find(o => 
-            o.id === itemId && 
-            (o.id === command.noun || 
-             o.name.toLowerCase().includes(command.noun!.toLowerCase()) ||
-             o.synonyms?.some(synonym => synonym.toLowerCase().includes(command.noun!.toLowerCase())))
-          );
-          if (obj) {
-            foundSlot = slot as keyof typeof session.player.equippedItems;
-            equippedItemId = itemId;
-            break;
-          }
-        }
-        if (foundSlot) break;
+      // Check if the command matches this item's definition
+      const equippedItem = itemId ? this.items.getItem(itemId) : undefined;
+      if (equippedItem && this.items.matches(equippedItem, command.noun)) {
+        foundSlot = slot as keyof typeof session.player.equippedItems;
+        equippedItemId = itemId;
+        break;
       }
     }
 
@@ -789,35 +2963,17 @@ export class GameEngine {
       return { success: false, message: `You don't have "${command.noun}" equipped.` };
     }
 
-    // Find the object definition to create inventory item
-    let obj: any = null;
-    for (const [_, room] of this.rooms) {
-      obj = room.objects.find(o => o.id === equippedItemId);
-      if (obj) break;
-    }
-
-    if (!obj) {
-      return { success: false, message: "Error: Could not find item data." };
-    }
+    const item = this.items.getItem(equippedItemId)!;
 
     // Add back to inventory
-    session.player.inventory.push({
-      id: obj.id,
-      name: obj.name,
-      description: obj.description,
-      quantity: 1,
-      equippable: true,
-      equipmentSlot: obj.equipmentSlot,
-      usable: true,
-      weight: 1,
-    });
+    this.items.addToInventory(session.player, item);
 
     // Remove from equipped slot
     delete session.player.equippedItems[foundSlot];
 
     return {
       success: true,
-      message: `You unequip the ${obj.name}.`,
+      message: `You unequip the ${item.name}.`,
       stateChanges: {
         inventory: session.player.inventory,
         equippedItems: session.player.equippedItems,
@@ -827,36 +2983,24 @@ export class GameEngine {
 
   private async handleRestart(session: GameSession, _command: ParsedCommand): Promise<CommandResult> {
     // Reset player to initial state
-    session.player = this.createNewPlayer(session.player.name, 'ROOM_001');
+    session.player = this.createNewPlayer(session.player.name, STARTING_ROOM);
     
-    // Reset all room states (clear taken flags)
-    for (const [_, room] of this.rooms) {
-      // Reset object taken flags
-      for (const obj of room.objects) {
-        obj.taken = false;
-      }
-      // Reset room visited state
-      room.state.visited = false;
-    }
+    // Discard this session's world changes; other players are unaffected
+    session.world = this.createWorldState();
+    this.endCombat(session);
+
+    // "it" and "again" mustn't reach back into the old game
+    session.parserContext = undefined;
+    session.pendingCommand = undefined;
     
     return {
       success: true,
       message: "Game restarted. You awaken once again in the cryogenic chamber...",
       stateChanges: {
         inventory: session.player.inventory,
-        location: 'ROOM_001',
+        location: STARTING_ROOM,
         visitedRooms: []
       }
     };
   }
-
-  // Set world state flag
-  setWorldState(key: string, value: boolean): void {
-    this.worldState.set(key, value);
-  }
-
-  // Get world state flag
-  getWorldState(key: string): boolean {
-    return this.worldState.get(key) || false;
-  }
 }
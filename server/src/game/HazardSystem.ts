@@ -0,0 +1,75 @@
+import type { HazardDefinition, PlayerState, Room } from '../types/index.js';
+import type { StatusEffectSystem } from './StatusEffectSystem.js';
+import type { RandomSource } from './random.js';
+
+// Environmental hazards listed in a room's environment.hazards. Hazard ids
+// without a definition are purely descriptive and have no mechanical effect.
+export class HazardSystem {
+  private hazards: Map<string, HazardDefinition> = new Map();
+
+  constructor(private effects: StatusEffectSystem, private random: RandomSource) {}
+
+  loadHazards(hazardData: HazardDefinition[]): void {
+    this.hazards.clear();
+    for (const hazard of hazardData) {
+      this.hazards.set(hazard.id, hazard);
+    }
+    console.log(`Loaded ${this.hazards.size} hazards`);
+  }
+
+  getHazard(hazardId: string): HazardDefinition | undefined {
+    return this.hazards.get(hazardId);
+  }
+
+  // Apply every hazard in the room with the given trigger to the player.
+  // Returns the messages describing what happened.
+  apply(room: Room, player: PlayerState, trigger: HazardDefinition['trigger']): string[] {
+    const log: string[] = [];
+
+    for (const hazardId of room.environment.hazards) {
+      const hazard = this.hazards.get(hazardId);
+      if (!hazard || hazard.trigger !== trigger) continue;
+      if (hazard.chance !== undefined && this.random() >= hazard.chance) continue;
+
+      if (this.isMitigated(hazard, player)) {
+        if (hazard.mitigation?.message) {
+          log.push(hazard.mitigation.message);
+        }
+        continue;
+      }
+
+      log.push(hazard.message);
+
+      if (hazard.damage) {
+        player.hp = Math.max(0, player.hp - hazard.damage);
+        log.push(`You take ${hazard.damage} damage.`);
+      }
+
+      if (hazard.mpDrain && player.mp > 0) {
+        const drained = Math.min(hazard.mpDrain, player.mp);
+        player.mp -= drained;
+        log.push(`You lose ${drained} MP.`);
+      }
+
+      if (hazard.effect) {
+        log.push(...this.effects.apply(player, hazard.effect));
+      }
+    }
+
+    return log;
+  }
+
+  // Carried or equipped items and learned skills can protect the player
+  private isMitigated(hazard: HazardDefinition, player: PlayerState): boolean {
+    const mitigation = hazard.mitigation;
+    if (!mitigation) return false;
+
+    const carried = new Set([
+      ...player.inventory.map(item => item.id),
+      ...Object.values(player.equippedItems).filter((id): id is string => !!id),
+    ]);
+
+    return (mitigation.items?.some(id => carried.has(id)) ?? false) ||
+      (mitigation.skills?.some(id => player.skills.includes(id)) ?? false);
+  }
+}
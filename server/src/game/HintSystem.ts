@@ -0,0 +1,54 @@
+import type { HintDefinition, PlayerState } from '../types/index.js';
+import type { ConditionContext, ConditionEvaluator } from './ConditionEvaluator.js';
+
+// Names for a hint's tiers, from gentlest to most explicit
+const TIER_NAMES = ['Nudge', 'Stronger hint', 'Explicit'];
+
+export interface Hint {
+  id: string;
+  text: string;
+  tier: number;
+  tierName: string;
+  tierCount: number;
+}
+
+// Tiered hints (data/hints). The hint offered depends on where the player is
+// and what they have done; each player's revealed tiers are kept on their
+// PlayerState, so asking again escalates.
+export class HintSystem {
+  private hints: HintDefinition[] = [];
+
+  constructor(private conditions: ConditionEvaluator) {}
+
+  loadHints(hintData: HintDefinition[]): void {
+    this.hints = [...hintData];
+    console.log(`Loaded ${this.hints.length} hints`);
+  }
+
+  // The first hint that applies to the player's situation, in file order
+  select(ctx: ConditionContext): HintDefinition | undefined {
+    const roomId = ctx.room.identity.id;
+    return this.hints.find(hint =>
+      (!hint.rooms || hint.rooms.includes(roomId)) && this.conditions.check(hint.condition, ctx));
+  }
+
+  // Reveal the next tier of a hint, or the last one again once all are used
+  reveal(player: PlayerState, hint: HintDefinition): Hint {
+    const used = player.hintsUsed || {};
+    const tier = Math.min(used[hint.id] || 0, hint.tiers.length - 1);
+    player.hintsUsed = { ...used, [hint.id]: Math.max(used[hint.id] || 0, tier + 1) };
+
+    return {
+      id: hint.id,
+      text: hint.tiers[tier],
+      tier: tier + 1,
+      tierName: TIER_NAMES[Math.min(tier, TIER_NAMES.length - 1)],
+      tierCount: hint.tiers.length,
+    };
+  }
+
+  // Hint tiers the player has revealed in total
+  countUsed(player: PlayerState): number {
+    return Object.values(player.hintsUsed || {}).reduce((total, tiers) => total + tiers, 0);
+  }
+}
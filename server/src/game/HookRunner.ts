@@ -0,0 +1,120 @@
+import type { Room, RoomHook } from '../types/index.js';
+import type { ConditionContext, ConditionEvaluator } from './ConditionEvaluator.js';
+import type { StatusEffectSystem } from './StatusEffectSystem.js';
+
+export type HookEvent = 'onEnter' | 'onExit' | 'onLook';
+
+// What the engine still has to do after the hooks ran
+export interface HookOutcome {
+  messages: string[];
+  // Room object ids to move into the player's inventory
+  grantedItems: string[];
+  // Hostile NPC to engage in the current room
+  combatNpc?: string;
+  skillsChanged: boolean;
+  xp: number;
+}
+
+// Runs the scripted hooks in a room definition. Every action accepts an
+// optional `message` param, printed when the hook fires, and `once`, which
+// limits the hook to a single firing per session.
+//
+//   message                       message only
+//   set_room_flag  key, value?, room?
+//   set_flag       key, value?
+//   spawn_npc      npc, room?
+//   despawn_npc    npc, room?
+//   damage         amount
+//   apply_effect   effect (a status effect id)
+//   grant_item     item (a room object id)
+//   grant_skill    skill
+//   grant_xp       amount
+//   start_combat   npc
+export class HookRunner {
+  constructor(
+    private conditions: ConditionEvaluator,
+    private effects: StatusEffectSystem
+  ) {}
+
+  run(event: HookEvent, ctx: ConditionContext): HookOutcome {
+    return this.runHooks(ctx.room.hooks?.[event] || [], ctx, `hook_${event}`);
+  }
+
+  // Run a list of hooks in the context's room. `once` hooks are remembered
+  // with a room flag named after `onceKey` and the hook's index.
+  runHooks(hooks: RoomHook[], ctx: ConditionContext, onceKey: string): HookOutcome {
+    const outcome: HookOutcome = { messages: [], grantedItems: [], skillsChanged: false, xp: 0 };
+
+    hooks.forEach((hook, index) => {
+      const onceFlag = `${onceKey}_${index}`;
+      if (hook.params?.once && ctx.session.world.getRoomFlag(ctx.room.identity.id, onceFlag)) return;
+      if (!this.conditions.check(hook.condition, ctx)) return;
+
+      if (hook.params?.once) {
+        ctx.session.world.setRoomFlag(ctx.room.identity.id, onceFlag, true);
+      }
+      if (typeof hook.params?.message === 'string') {
+        outcome.messages.push(hook.params.message);
+      }
+      this.runAction(hook, ctx, outcome);
+    });
+
+    return outcome;
+  }
+
+  private runAction(hook: RoomHook, ctx: ConditionContext, outcome: HookOutcome): void {
+    const { session, room } = ctx;
+    const params = hook.params || {};
+    const player = session.player;
+
+    switch (hook.action) {
+      case 'message':
+        break;
+      case 'set_room_flag':
+        session.world.setRoomFlag(this.targetRoom(params, room), String(params.key), params.value !== false);
+        break;
+      case 'set_flag':
+        session.world.setFlag(String(params.key), params.value !== false);
+        break;
+      case 'spawn_npc': {
+        const roomId = this.targetRoom(params, room);
+        session.world.setRoomFlag(roomId, `spawned_${params.npc}`, true);
+        session.world.setRoomFlag(roomId, `despawned_${params.npc}`, false);
+        break;
+      }
+      case 'despawn_npc':
+        session.world.setRoomFlag(this.targetRoom(params, room), `despawned_${params.npc}`, true);
+        break;
+      case 'damage': {
+        const amount = Number(params.amount) || 0;
+        player.hp = Math.max(0, player.hp - amount);
+        outcome.messages.push(`You take ${amount} damage.`);
+        break;
+      }
+      case 'apply_effect':
+        outcome.messages.push(...this.effects.apply(player, String(params.effect)));
+        break;
+      case 'grant_item':
+        outcome.grantedItems.push(String(params.item));
+        break;
+      case 'grant_skill':
+        if (!player.skills.includes(String(params.skill))) {
+          player.skills.push(String(params.skill));
+          outcome.skillsChanged = true;
+        }
+        break;
+      case 'grant_xp':
+        outcome.xp += Number(params.amount) || 0;
+        break;
+      case 'start_combat':
+        outcome.combatNpc = String(params.npc);
+        break;
+      default:
+        console.warn(`Unknown hook action "${hook.action}" in ${room.identity.id}`);
+    }
+  }
+
+  private targetRoom(params: Record<string, unknown>, room: Room): string {
+    return typeof params.room === 'string' ? params.room : room.identity.id;
+  }
+}
@@ -0,0 +1,76 @@
+import type { InventoryItem, ItemDefinition, PlayerState } from '../types/index.js';
+
+// Item definitions shared by every room object that represents the item,
+// plus the inventory bookkeeping (stacking and weight) that depends on them.
+export class ItemCatalog {
+  private items: Map<string, ItemDefinition> = new Map();
+
+  loadItems(itemData: ItemDefinition[]): void {
+    this.items.clear();
+    for (const item of itemData) {
+      this.items.set(item.id, item);
+    }
+    console.log(`Loaded ${this.items.size} items`);
+  }
+
+  getItem(itemId: string): ItemDefinition | undefined {
+    return this.items.get(itemId);
+  }
+
+  // Check whether an item matches a noun typed by the player
+  matches(item: ItemDefinition, noun: string): boolean {
+    const needle = noun.toLowerCase();
+    return item.id === noun ||
+      item.name.toLowerCase().includes(needle) ||
+      (item.synonyms?.some(synonym => synonym.toLowerCase().includes(needle)) ?? false);
+  }
+
+  // Total weight carried, including equipped items
+  getCarriedWeight(player: PlayerState): number {
+    const inventoryWeight = player.inventory.reduce((total, item) => total + item.weight * item.quantity, 0);
+    const equippedWeight = Object.values(player.equippedItems)
+      .reduce((total, itemId) => total + (itemId ? this.items.get(itemId)?.weight || 0 : 0), 0);
+    return inventoryWeight + equippedWeight;
+  }
+
+  canCarry(player: PlayerState, item: ItemDefinition, maxWeight: number): boolean {
+    return this.getCarriedWeight(player) + item.weight <= maxWeight;
+  }
+
+  // Add one unit, stacking onto an existing entry with room left
+  addToInventory(player: PlayerState, item: ItemDefinition): void {
+    const stack = player.inventory.find(entry => entry.id === item.id && entry.quantity < item.stackSize);
+    if (stack) {
+      stack.quantity++;
+      return;
+    }
+    player.inventory.push(this.createInventoryItem(item));
+  }
+
+  // Remove one unit; returns false if the player has none
+  removeFromInventory(player: PlayerState, itemId: string): boolean {
+    const index = player.inventory.findIndex(entry => entry.id === itemId);
+    if (index === -1) return false;
+
+    const stack = player.inventory[index];
+    stack.quantity--;
+    if (stack.quantity <= 0) {
+      player.inventory.splice(index, 1);
+    }
+    return true;
+  }
+
+  createInventoryItem(item: ItemDefinition, quantity: number = 1): InventoryItem {
+    return {
+      id: item.id,
+      name: item.name,
+      description: item.description,
+      quantity,
+      equippable: item.equipmentSlot !== undefined,
+      equipmentSlot: item.equipmentSlot,
+      usable: item.use !== undefined,
+      weight: item.weight,
+      category: item.category,
+    };
+  }
+}
@@ -0,0 +1,45 @@
+import type { GameConfig, PlayerState } from '../types/index.js';
+
+// Experience and levels. Reaching level n + 1 takes n × xpPerLevel XP in
+// total, so each level needs xpPerLevel more than the one before.
+export class ProgressionSystem {
+  constructor(private config: GameConfig) {}
+
+  // Total XP needed to reach a level
+  xpForLevel(level: number): number {
+    return (level * (level - 1) / 2) * this.config.xpPerLevel;
+  }
+
+  // Award XP and apply any level-ups it earns. Returns the messages to show.
+  award(player: PlayerState, amount: number, reason: string): string[] {
+    if (amount <= 0) return [];
+
+    player.xp += amount;
+    const log = [`(+${amount} XP: ${reason})`];
+
+    while (player.xp >= this.xpForLevel(player.level + 1)) {
+      log.push(...this.levelUp(player));
+    }
+    return log;
+  }
+
+  // Raise the player one level: more max HP/MP, better stats, and a full
+  // recovery
+  private levelUp(player: PlayerState): string[] {
+    const { levelHpGain, levelMpGain, levelStatGain } = this.config;
+
+    player.level++;
+    player.maxHp += levelHpGain;
+    player.maxMp += levelMpGain;
+    player.hp = player.maxHp;
+    player.mp = player.maxMp;
+    player.stats.Physical += levelStatGain;
+    player.stats.Mental += levelStatGain;
+    player.stats.Resilience += levelStatGain;
+
+    return [
+      `**You have reached level ${player.level}!**`,
+      `Max HP +${levelHpGain}, Max MP +${levelMpGain}, Physical, Mental and Resilience +${levelStatGain}. You feel fully restored.`,
+    ];
+  }
+}
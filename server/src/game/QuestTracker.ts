@@ -0,0 +1,165 @@
+import type { QuestDefinition, QuestLog } from '../types/index.js';
+import type { ConditionContext, ConditionEvaluator } from './ConditionEvaluator.js';
+import type { ProgressionSystem } from './ProgressionSystem.js';
+import type { WorldState } from './WorldState.js';
+
+// Anchor quests and their mandatory subquests (data/quests). After every
+// command, quests whose prerequisites are complete start and active quests
+// advance; the player is told what was completed and what to do next.
+// Progress is kept in the session's world state.
+export class QuestTracker {
+  private quests: Map<string, QuestDefinition> = new Map();
+
+  constructor(
+    private conditions: ConditionEvaluator,
+    private progression: ProgressionSystem,
+    private anchorCount: number
+  ) {}
+
+  loadQuests(questData: QuestDefinition[]): void {
+    this.quests.clear();
+    for (const quest of questData) {
+      this.quests.set(quest.id, quest);
+    }
+    console.log(`Loaded ${this.quests.size} quests`);
+  }
+
+  getQuest(questId: string): QuestDefinition | undefined {
+    return this.quests.get(questId);
+  }
+
+  // Start quests that became available and advance active ones. Returns the
+  // announcements to show.
+  update(ctx: ConditionContext): string[] {
+    const world = ctx.session.world;
+    const log: string[] = [];
+    this.markStepsMet(ctx);
+
+    // Completing a quest can start others, so go round until nothing changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const quest of this.quests.values()) {
+        let progress = world.getQuestProgress(quest.id);
+        if (progress === undefined) {
+          if (!this.isAvailable(quest, world)) continue;
+          progress = 0;
+          world.setQuestProgress(quest.id, progress);
+          log.push(`**New ${quest.type === 'anchor' ? 'anchor quest' : 'subquest'}: ${quest.name}** — ${quest.description}`);
+          changed = true;
+        }
+        if (progress >= quest.steps.length) continue;
+
+        const reached = this.stepsReached(quest, progress, world);
+        if (reached <= progress) continue;
+
+        for (const step of quest.steps.slice(progress, reached)) {
+          log.push(`**Objective complete:** ${step.objective}`);
+          if (step.completeMessage) log.push(step.completeMessage);
+        }
+        world.setQuestProgress(quest.id, reached);
+        changed = true;
+
+        if (reached === quest.steps.length) {
+          log.push(...this.complete(quest, ctx));
+        }
+      }
+    }
+
+    const next = this.getCurrentObjective(world);
+    if (log.length > 0 && next) {
+      log.push(`**Next objective:** ${next}`);
+    }
+    return log;
+  }
+
+  // The objective the player should work on: the next step of the first
+  // active quest
+  getCurrentObjective(world: WorldState): string | undefined {
+    for (const quest of this.quests.values()) {
+      const progress = world.getQuestProgress(quest.id);
+      if (progress !== undefined && progress < quest.steps.length) {
+        return quest.steps[progress].objective;
+      }
+    }
+    return undefined;
+  }
+
+  getAnchorsCaptured(world: WorldState): number {
+    return [...this.quests.values()]
+      .filter(quest => quest.type === 'anchor' && this.isComplete(quest.id, world))
+      .length;
+  }
+
+  // Started quests and their objectives, in definition order
+  getLog(world: WorldState): QuestLog {
+    const quests = [...this.quests.values()]
+      .filter(quest => world.getQuestProgress(quest.id) !== undefined)
+      .map(quest => {
+        const progress = world.getQuestProgress(quest.id) || 0;
+        return {
+          id: quest.id,
+          name: quest.name,
+          anchor: quest.anchor,
+          type: quest.type,
+          complete: progress >= quest.steps.length,
+          objectives: quest.steps.map((step, index) => ({ text: step.objective, done: index < progress })),
+        };
+      });
+
+    return {
+      anchorsCaptured: this.getAnchorsCaptured(world),
+      anchorCount: this.anchorCount,
+      currentObjective: this.getCurrentObjective(world),
+      quests,
+    };
+  }
+
+  private isComplete(questId: string, world: WorldState): boolean {
+    const quest = this.quests.get(questId);
+    const progress = world.getQuestProgress(questId);
+    return !!quest && progress !== undefined && progress >= quest.steps.length;
+  }
+
+  private isAvailable(quest: QuestDefinition, world: WorldState): boolean {
+    return (quest.requires || []).every(questId => this.isComplete(questId, world));
+  }
+
+  // Remember every step whose condition holds now, in any quest, started
+  // or not. The item a step asks for may be used up before the step comes
+  // up; having had it still counts.
+  private markStepsMet(ctx: ConditionContext): void {
+    const world = ctx.session.world;
+    for (const quest of this.quests.values()) {
+      const progress = world.getQuestProgress(quest.id) || 0;
+      for (const step of quest.steps.slice(progress)) {
+        if (!world.isQuestStepMet(quest.id, step.id) && this.conditions.check(step.condition, ctx)) {
+          world.markQuestStepMet(quest.id, step.id);
+        }
+      }
+    }
+  }
+
+  // Steps done so far. Steps complete strictly in order, each once it has
+  // been met, so getting ahead of the objectives never ticks off one the
+  // player hasn't met.
+  private stepsReached(quest: QuestDefinition, progress: number, world: WorldState): number {
+    let reached = progress;
+    while (reached < quest.steps.length && world.isQuestStepMet(quest.id, quest.steps[reached].id)) {
+      reached++;
+    }
+    return reached;
+  }
+
+  private complete(quest: QuestDefinition, ctx: ConditionContext): string[] {
+    const log = [`**Quest complete: ${quest.name}**`];
+    if (quest.completeMessage) log.push(quest.completeMessage);
+    if (quest.type === 'anchor') {
+      log.push(`**Anchor ${quest.anchor} captured. (${this.getAnchorsCaptured(ctx.session.world)}/${this.anchorCount})**`);
+    }
+    if (quest.xp) {
+      log.push(...this.progression.award(ctx.session.player, quest.xp, quest.name));
+    }
+    return log;
+  }
+}
@@ -0,0 +1,253 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import type { SaveFile } from '../types/index.js';
+
+// Current save file format
+export const SAVE_VERSION = 3;
+
+// Longest player name a save may carry
+export const MAX_NAME_LENGTH = 40;
+
+const STAT_NAMES = ['Physical', 'Mental', 'Resilience'];
+const EQUIPMENT_SLOTS = ['weapon', 'armor', 'accessory', 'light_source'];
+
+// What a save may refer to; a save naming anything else is rejected
+export interface SaveCatalog {
+  hasRoom(roomId: string): boolean;
+  hasItem(itemId: string): boolean;
+  hasSkill(skillId: string): boolean;
+  hasEffect(effectId: string): boolean;
+}
+
+export type DecodeResult = { save: SaveFile; error?: undefined } | { save?: undefined; error: string };
+
+// Upgrades from each format version to the next
+const MIGRATIONS: Record<number, (save: any) => any> = {
+  // Version 2 fills in progress fields that older saves could leave out
+  1: save => ({
+    ...save,
+    version: 2,
+    player: { fatigue: 0, hintsUsed: {}, ...save.player },
+    world: { objectStates: {}, turn: 0, scheduledEvents: {}, firedEvents: [], quests: {}, ...save.world },
+  }),
+  // Version 3 remembers which quest steps have been met
+  2: save => ({ ...save, version: 3, world: { questSteps: {}, ...save.world } }),
+};
+
+// The HMAC secret: SAVE_SECRET, or a random secret kept in the save
+// directory and created on first use
+export function loadSaveSecret(saveDir: string): string {
+  if (process.env.SAVE_SECRET) return process.env.SAVE_SECRET;
+
+  const file = path.join(saveDir, '.secret');
+  if (fs.existsSync(file)) {
+    return fs.readFileSync(file, 'utf-8').trim();
+  }
+
+  const secret = randomBytes(32).toString('hex');
+  fs.mkdirSync(saveDir, { recursive: true });
+  fs.writeFileSync(file, secret, { encoding: 'utf-8', mode: 0o600 });
+  return secret;
+}
+
+// Signs saves the server hands out and checks the ones it gets back: the
+// signature, the format version (migrating older saves) and the structure
+// and references of the player and world state.
+export class SaveCodec {
+  constructor(
+    private secret: string,
+    private catalog: SaveCatalog
+  ) {}
+
+  sign(save: SaveFile): SaveFile {
+    const { signature: _signature, ...unsigned } = save;
+    return { ...unsigned, signature: this.digest(unsigned) };
+  }
+
+  // Every save must carry this server's signature, whether it comes from a
+  // client or the save directory; a file edited on disk is no more
+  // trustworthy than one sent by a client
+  decode(data: unknown): DecodeResult {
+    if (!isRecord(data)) {
+      return { error: 'it is not a save file' };
+    }
+
+    const version = data.version;
+    if (typeof version !== 'number' || !Number.isInteger(version) || version < 1) {
+      return { error: 'it has no format version' };
+    }
+    if (version > SAVE_VERSION) {
+      return { error: 'it was made by a newer version of the game' };
+    }
+
+    if (typeof data.signature !== 'string') {
+      return { error: 'it is not signed by this server' };
+    }
+    if (!this.verify(data)) {
+      return { error: 'it has been modified' };
+    }
+
+    let save: any = data;
+    for (let from = version; from < SAVE_VERSION; from++) {
+      save = MIGRATIONS[from](save);
+    }
+
+    const errors = this.validate(save);
+    if (errors.length > 0) {
+      return { error: `it is damaged (${errors.slice(0, 3).join('; ')})` };
+    }
+    return { save: save as SaveFile };
+  }
+
+  private verify(data: Record<string, unknown>): boolean {
+    const { signature, ...unsigned } = data;
+    const expected = Buffer.from(this.digest(unsigned), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  private digest(value: unknown): string {
+    return createHmac('sha256', this.secret).update(canonicalJson(value)).digest('hex');
+  }
+
+  // Structural checks, plus references to rooms, items, skills and effects
+  // that must exist in the loaded content
+  private validate(save: any): string[] {
+    const errors: string[] = [];
+    const check = (ok: boolean, message: string) => {
+      if (!ok) errors.push(message);
+    };
+
+    check(typeof save.slot === 'string', 'slot must be a string');
+    check(typeof save.savedAt === 'string' && !Number.isNaN(Date.parse(save.savedAt)), 'savedAt must be a date');
+
+    const player = save.player;
+    if (!isRecord(player)) return [...errors, 'player is missing'];
+
+    check(typeof player.name === 'string' && player.name.trim().length > 0 && player.name.length <= MAX_NAME_LENGTH,
+      'player.name must be a non-empty name');
+    for (const field of ['gold', 'xp', 'hp', 'mp', 'fatigue']) {
+      check(isCount(player[field]), `player.${field} must be a whole number of at least 0`);
+    }
+    for (const field of ['maxHp', 'maxMp', 'level']) {
+      check(isCount(player[field]) && player[field] >= 1, `player.${field} must be a whole number of at least 1`);
+    }
+    check(player.hp <= player.maxHp, 'player.hp is above player.maxHp');
+    check(player.mp <= player.maxMp, 'player.mp is above player.maxMp');
+
+    const stats = player.stats;
+    check(isRecord(stats) && Object.keys(stats).length === STAT_NAMES.length &&
+      STAT_NAMES.every(stat => isCount(stats[stat]) && stats[stat] >= 1),
+      `player.stats must have ${STAT_NAMES.join(', ')}`);
+
+    check(typeof player.location === 'string' && this.catalog.hasRoom(player.location),
+      `player.location: unknown room "${player.location}"`);
+    if (player.previousLocation !== undefined) {
+      check(typeof player.previousLocation === 'string' && this.catalog.hasRoom(player.previousLocation),
+        `player.previousLocation: unknown room "${player.previousLocation}"`);
+    }
+    checkList(player.visitedRooms, 'player.visitedRooms', id => this.catalog.hasRoom(id), 'room', errors);
+    checkList(player.skills, 'player.skills', id => this.catalog.hasSkill(id), 'skill', errors);
+    check(Array.isArray(player.notes) && player.notes.every((note: unknown) => typeof note === 'string'),
+      'player.notes must be a list of strings');
+    check(isFlagMap(player.flags), 'player.flags must map names to true or false');
+    if (player.hintsUsed !== undefined) {
+      check(isRecord(player.hintsUsed) && Object.values(player.hintsUsed).every(isCount),
+        'player.hintsUsed must map hints to counts');
+    }
+
+    if (Array.isArray(player.inventory)) {
+      for (const item of player.inventory) {
+        check(isRecord(item) && typeof item.id === 'string' && this.catalog.hasItem(item.id),
+          `player.inventory: unknown item "${item?.id}"`);
+        check(isRecord(item) && isCount(item.quantity) && item.quantity >= 1,
+          `player.inventory: bad quantity for "${item?.id}"`);
+      }
+    } else {
+      errors.push('player.inventory must be a list');
+    }
+
+    if (isRecord(player.equippedItems)) {
+      for (const [slot, itemId] of Object.entries(player.equippedItems)) {
+        check(EQUIPMENT_SLOTS.includes(slot), `player.equippedItems: unknown slot "${slot}"`);
+        check(itemId === undefined || (typeof itemId === 'string' && this.catalog.hasItem(itemId)),
+          `player.equippedItems: unknown item "${itemId}"`);
+      }
+    } else {
+      errors.push('player.equippedItems must be an object');
+    }
+
+    if (Array.isArray(player.statusEffects)) {
+      for (const effect of player.statusEffects) {
+        check(isRecord(effect) && typeof effect.id === 'string' && this.catalog.hasEffect(effect.id),
+          `player.statusEffects: unknown effect "${effect?.id}"`);
+        check(isRecord(effect) && isCount(effect.duration), `player.statusEffects: bad duration for "${effect?.id}"`);
+      }
+    } else {
+      errors.push('player.statusEffects must be a list');
+    }
+
+    const world = save.world;
+    if (!isRecord(world)) return [...errors, 'world is missing'];
+
+    check(isRecord(world.objectLocations) && Object.values(world.objectLocations).every(value => typeof value === 'string'),
+      'world.objectLocations must map objects to locations');
+    check(isRecord(world.roomStates) && Object.entries(world.roomStates)
+      .every(([roomId, state]) => this.catalog.hasRoom(roomId) && isFlagMap(state)),
+      'world.roomStates must map known rooms to flags');
+    check(isRecord(world.objectStates) && Object.values(world.objectStates).every(isFlagMap),
+      'world.objectStates must map objects to flags');
+    check(isFlagMap(world.flags), 'world.flags must map names to true or false');
+    check(isCount(world.turn), 'world.turn must be a whole number of at least 0');
+    check(isRecord(world.scheduledEvents) && Object.values(world.scheduledEvents).every(isCount),
+      'world.scheduledEvents must map events to turns');
+    check(Array.isArray(world.firedEvents) && world.firedEvents.every((id: unknown) => typeof id === 'string'),
+      'world.firedEvents must be a list of event ids');
+    check(isRecord(world.quests) && Object.values(world.quests).every(isCount),
+      'world.quests must map quests to step counts');
+    check(isRecord(world.questSteps) && Object.values(world.questSteps)
+      .every(steps => Array.isArray(steps) && steps.every((id: unknown) => typeof id === 'string')),
+      'world.questSteps must map quests to lists of step ids');
+
+    return errors;
+  }
+}
+
+function isRecord(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCount(value: unknown): value is number {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0;
+}
+
+function isFlagMap(value: unknown): boolean {
+  return isRecord(value) && Object.values(value).every(flag => typeof flag === 'boolean');
+}
+
+function checkList(value: unknown, field: string, known: (id: string) => boolean, kind: string, errors: string[]): void {
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be a list`);
+    return;
+  }
+  const unknown = value.find(id => typeof id !== 'string' || !known(id));
+  if (unknown !== undefined) {
+    errors.push(`${field}: unknown ${kind} "${unknown}"`);
+  }
+}
+
+// JSON with object keys sorted, so a signature doesn't depend on key order
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (isRecord(value)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
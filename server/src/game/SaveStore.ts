@@ -0,0 +1,119 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { SaveFile } from '../types/index.js';
+
+// Longest slot name a player can use
+const MAX_SLOT_LENGTH = 32;
+
+// File in a player's directory holding a hash of the key that owns it
+const OWNER_FILE = 'owner';
+
+// The player whose saves are being used: their name and the key their
+// client keeps (see ConnectMessage.playerKey)
+export interface SaveOwner {
+  name: string;
+  key: string;
+}
+
+// A player's saves were claimed by a different key
+export class SaveOwnerError extends Error {}
+
+// Named save slots on disk, one directory per player:
+//
+//   <dir>/<sha256 of the player name>/<slot>.json
+//   <dir>/<sha256 of the player name>/owner
+//
+// The directory is named by a hash of the exact name, so every name gets
+// its own. Names aren't accounts, though: the first client to save under a
+// name claims it with its key, and from then on only that key may list,
+// load or overwrite those saves.
+//
+// Files are read back as raw text; the engine parses them and SaveCodec
+// decides whether to trust them, so a corrupt file is just a bad save.
+export class SaveStore {
+  constructor(private dir: string) {}
+
+  // Turn a name typed by the player into a safe file name; empty if nothing
+  // usable is left
+  static normalizeName(name: string): string {
+    return name.trim().toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, MAX_SLOT_LENGTH);
+  }
+
+  async write(owner: SaveOwner, save: SaveFile): Promise<void> {
+    const playerDir = this.getPlayerDir(owner.name);
+    await fs.mkdir(playerDir, { recursive: true });
+    await this.claim(playerDir, owner.key);
+
+    // Write to a temporary file first so a crash never leaves half a save
+    const file = path.join(playerDir, `${save.slot}.json`);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(save, null, 2), 'utf-8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async read(owner: SaveOwner, slot: string): Promise<string | undefined> {
+    const playerDir = this.getPlayerDir(owner.name);
+    if (!await this.isOwnedBy(playerDir, owner.key)) return undefined;
+    return this.readFile(path.join(playerDir, `${slot}.json`));
+  }
+
+  // Every save file a player has, by slot
+  async list(owner: SaveOwner): Promise<Map<string, string>> {
+    const playerDir = this.getPlayerDir(owner.name);
+    if (!await this.isOwnedBy(playerDir, owner.key)) return new Map();
+
+    const saves = new Map<string, string>();
+    for (const file of (await fs.readdir(playerDir)).filter(name => name.endsWith('.json'))) {
+      try {
+        const content = await this.readFile(path.join(playerDir, file));
+        if (content !== undefined) saves.set(file.slice(0, -'.json'.length), content);
+      } catch (error) {
+        console.warn(`Skipping unreadable save ${file}:`, (error as Error).message);
+      }
+    }
+    return saves;
+  }
+
+  // Whether the key owns the player's directory; false if nobody has saved
+  // under the name yet, and SaveOwnerError if another key claimed it
+  private async isOwnedBy(playerDir: string, key: string): Promise<boolean> {
+    const owner = await this.readFile(path.join(playerDir, OWNER_FILE));
+    if (owner === undefined) return false;
+    if (!sameHash(owner.trim(), hashKey(key))) throw new SaveOwnerError('saves claimed by another key');
+    return true;
+  }
+
+  // Claim the player's directory for the key unless it is claimed already
+  private async claim(playerDir: string, key: string): Promise<void> {
+    try {
+      await fs.writeFile(path.join(playerDir, OWNER_FILE), hashKey(key), { encoding: 'utf-8', flag: 'wx', mode: 0o600 });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+      await this.isOwnedBy(playerDir, key);
+    }
+  }
+
+  private async readFile(file: string): Promise<string | undefined> {
+    try {
+      return await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  private getPlayerDir(playerName: string): string {
+    return path.join(this.dir, createHash('sha256').update(playerName).digest('hex'));
+  }
+}
+
+function hashKey(key: string): string {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function sameHash(a: string, b: string): boolean {
+  return a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
@@ -0,0 +1,66 @@
+import type { PlayerState, SpellDefinition } from '../types/index.js';
+import { getEffectiveStat } from './StatusEffectSystem.js';
+
+// Fatigue cap; each point of fatigue past a threshold raises spell costs
+export const MAX_FATIGUE = 10;
+const FATIGUE_PER_EXTRA_MP = 3;
+
+// Psionic spell catalog. Players know a spell when its id is in their
+// skills; the engine applies the effects.
+export class SpellSystem {
+  private spells: Map<string, SpellDefinition> = new Map();
+
+  loadSpells(spellData: SpellDefinition[]): void {
+    this.spells.clear();
+    for (const spell of spellData) {
+      this.spells.set(spell.id, spell);
+    }
+    console.log(`Loaded ${this.spells.size} spells`);
+  }
+
+  getSpell(spellId: string): SpellDefinition | undefined {
+    return this.spells.get(spellId);
+  }
+
+  // Match a spell by id, name or synonym
+  findSpell(name: string): SpellDefinition | undefined {
+    const query = name.toLowerCase().trim();
+    for (const spell of this.spells.values()) {
+      if (
+        spell.id === query ||
+        spell.id.replace(/_/g, ' ') === query ||
+        spell.name.toLowerCase() === query ||
+        spell.synonyms?.some(s => s.toLowerCase() === query)
+      ) {
+        return spell;
+      }
+    }
+    return undefined;
+  }
+
+  // Spells the player has learned
+  getKnownSpells(player: PlayerState): SpellDefinition[] {
+    return player.skills
+      .map(skill => this.spells.get(skill))
+      .filter((spell): spell is SpellDefinition => !!spell);
+  }
+
+  // MP cost including the fatigue surcharge
+  getCost(spell: SpellDefinition, player: PlayerState): number {
+    return spell.mpCost + Math.floor((player.fatigue || 0) / FATIGUE_PER_EXTRA_MP);
+  }
+
+  // Combat power scaled by level and Mental
+  getPower(spell: SpellDefinition, player: PlayerState): number {
+    const base = spell.combat?.power || 0;
+    const levelBonus = 1 + spell.scaling * (player.level - 1);
+    const mentalBonus = Math.floor((getEffectiveStat(player, 'Mental') - 10) / 2);
+    return Math.max(1, Math.round(base * levelBonus) + mentalBonus);
+  }
+
+  // Pay for a cast: spend MP and accumulate fatigue
+  spend(spell: SpellDefinition, player: PlayerState): void {
+    player.mp = Math.max(0, player.mp - this.getCost(spell, player));
+    player.fatigue = Math.min(MAX_FATIGUE, (player.fatigue || 0) + spell.fatigue);
+  }
+}
@@ -0,0 +1,123 @@
+import type { PlayerState, PlayerStats, StatusEffect, StatusEffectDefinition } from '../types/index.js';
+
+// Stat a player currently has, after status effect modifiers
+export function getEffectiveStat(player: PlayerState, stat: keyof PlayerStats): number {
+  const modifier = player.statusEffects
+    .reduce((total, effect) => total + (effect.effects[stat] || 0) * (effect.stacks || 1), 0);
+  return Math.max(1, player.stats[stat] + modifier);
+}
+
+// Status effect catalog (data/effects) and the rules for applying, stacking,
+// ticking and expiring effects on a player. Effect modifiers are scaled by
+// the effect's stack count:
+//
+//   hpPerTurn, mpPerTurn          applied every turn
+//   Physical, Mental, Resilience  stat modifiers while the effect lasts
+export class StatusEffectSystem {
+  private effects: Map<string, StatusEffectDefinition> = new Map();
+
+  loadEffects(effectData: StatusEffectDefinition[]): void {
+    this.effects.clear();
+    for (const effect of effectData) {
+      this.effects.set(effect.id, effect);
+    }
+    console.log(`Loaded ${this.effects.size} status effects`);
+  }
+
+  getEffect(effectId: string): StatusEffectDefinition | undefined {
+    return this.effects.get(effectId);
+  }
+
+  has(player: PlayerState, effectId: string): boolean {
+    return player.statusEffects.some(effect => effect.id === effectId);
+  }
+
+  // Apply an effect by id according to its stacking rule
+  apply(player: PlayerState, effectId: string): string[] {
+    const definition = this.effects.get(effectId);
+    if (!definition) {
+      console.warn(`Unknown status effect "${effectId}"`);
+      return [];
+    }
+
+    const existing = player.statusEffects.find(effect => effect.id === effectId);
+    if (!existing) {
+      player.statusEffects.push({
+        id: definition.id,
+        name: definition.name,
+        duration: definition.duration,
+        effects: { ...definition.effects },
+        stacks: 1,
+      });
+      return [definition.applyMessage || `You are affected by ${definition.name}.`];
+    }
+
+    switch (definition.stacking || 'refresh') {
+      case 'stack': {
+        const maxStacks = definition.maxStacks || 1;
+        existing.duration = Math.max(existing.duration, definition.duration);
+        if ((existing.stacks || 1) >= maxStacks) return [];
+        existing.stacks = (existing.stacks || 1) + 1;
+        return [`Your ${definition.name} worsens. (x${existing.stacks})`];
+      }
+      case 'extend':
+        existing.duration += definition.duration;
+        return [`Your ${definition.name} will last longer.`];
+      case 'ignore':
+        return [];
+      default:
+        existing.duration = Math.max(existing.duration, definition.duration);
+        return [];
+    }
+  }
+
+  // Remove an effect; returns false if the player didn't have it
+  remove(player: PlayerState, effectId: string): boolean {
+    const before = player.statusEffects.length;
+    player.statusEffects = player.statusEffects.filter(effect => effect.id !== effectId);
+    return player.statusEffects.length < before;
+  }
+
+  // Advance every effect in `active` by one turn: apply per-turn changes,
+  // count the duration down and expire finished effects. Effects applied
+  // during the current turn are left out of `active` so they keep their
+  // full duration.
+  tick(player: PlayerState, active: StatusEffect[]): string[] {
+    const log: string[] = [];
+
+    for (const effect of active) {
+      if (!player.statusEffects.includes(effect)) continue;
+
+      const stacks = effect.stacks || 1;
+      const hpChange = (effect.effects.hpPerTurn || 0) * stacks;
+      const mpChange = (effect.effects.mpPerTurn || 0) * stacks;
+
+      if (hpChange !== 0) {
+        const before = player.hp;
+        player.hp = Math.max(0, Math.min(player.maxHp, player.hp + hpChange));
+        if (player.hp !== before) {
+          log.push(hpChange < 0
+            ? `${effect.name}: you lose ${before - player.hp} HP.`
+            : `${effect.name}: you recover ${player.hp - before} HP.`);
+        }
+      }
+      if (mpChange !== 0) {
+        const before = player.mp;
+        player.mp = Math.max(0, Math.min(player.maxMp, player.mp + mpChange));
+        if (player.mp !== before) {
+          log.push(mpChange < 0
+            ? `${effect.name}: you lose ${before - player.mp} MP.`
+            : `${effect.name}: you recover ${player.mp - before} MP.`);
+        }
+      }
+
+      effect.duration--;
+      if (effect.duration <= 0) {
+        this.remove(player, effect.id);
+        log.push(this.effects.get(effect.id)?.expireMessage || `${effect.name} wears off.`);
+      }
+    }
+
+    return log;
+  }
+}
@@ -0,0 +1,88 @@
+import type { ParsedCommand, VerbHandler } from '../types/index.js';
+import type { Vocabulary } from '../parser/CommandParser.js';
+
+// Every verb the game understands, with its synonyms, grammar, help text and
+// handler. The parser's vocabulary and the help output are built from it.
+export class VerbRegistry implements Vocabulary {
+  // Registered entries, in registration order
+  private entries: VerbHandler[] = [];
+  // Entry for each canonical verb
+  private handlers: Map<string, VerbHandler> = new Map();
+  // Every word the parser accepts as a verb, built on first use
+  private synonyms?: Record<string, string>;
+
+  register(entry: VerbHandler): void {
+    for (const verb of entry.verbs) {
+      if (this.handlers.has(verb)) {
+        throw new Error(`Verb "${verb}" is already registered`);
+      }
+    }
+
+    const synonyms = this.getSynonyms();
+    for (const [word, meaning] of Object.entries(entry.synonyms)) {
+      if (synonyms[word] !== undefined && synonyms[word] !== meaning) {
+        throw new Error(`"${word}" already means "${synonyms[word]}"`);
+      }
+    }
+
+    this.entries.push(entry);
+    for (const verb of entry.verbs) {
+      this.handlers.set(verb, entry);
+    }
+    this.synonyms = undefined;
+  }
+
+  get(verb: string): VerbHandler | undefined {
+    return this.handlers.get(verb);
+  }
+
+  // Each word the player may start a command with, mapped to the canonical
+  // verb it stands for
+  getSynonyms(): Record<string, string> {
+    if (!this.synonyms) {
+      this.synonyms = {};
+      for (const entry of this.entries) {
+        for (const verb of entry.verbs) {
+          this.synonyms[verb] = verb;
+        }
+        Object.assign(this.synonyms, entry.synonyms);
+      }
+    }
+    return this.synonyms;
+  }
+
+  // Verbs the parser would produce that nothing handles
+  getUnhandledVerbs(): string[] {
+    const verbs = Object.values(this.getSynonyms()).map(meaning => meaning.split(' ')[0]);
+    return [...new Set(verbs)].filter(verb => !this.handlers.get(verb)?.handler).sort();
+  }
+
+  // Help lines grouped by category, categories in the order they were
+  // first registered
+  getHelp(): Map<string, string[]> {
+    const help = new Map<string, string[]>();
+    for (const { category, usage } of this.entries.flatMap(entry => entry.help || [])) {
+      help.set(category, [...(help.get(category) || []), usage]);
+    }
+    return help;
+  }
+
+  // Why a command doesn't fit its verb's grammar, if it doesn't
+  checkGrammar(command: ParsedCommand): string | undefined {
+    const grammar = this.handlers.get(command.verb)?.grammar;
+    if (!grammar) return undefined;
+
+    const verb = command.verb.charAt(0).toUpperCase() + command.verb.slice(1);
+    if (grammar.noun === 'required' && !command.noun) {
+      return `${verb} what?`;
+    }
+    if (grammar.indirectObject === 'required' && !command.indirectObject) {
+      return `${verb} the ${command.noun} ${grammar.prepositions?.[0] ?? 'with'} what?`;
+    }
+    if (command.indirectObject && command.preposition && grammar.prepositions &&
+        !grammar.prepositions.includes(command.preposition)) {
+      return `You can't ${command.verb} something ${command.preposition} the ${command.indirectObject}.`;
+    }
+    return undefined;
+  }
+}
@@ -0,0 +1,154 @@
+import type { WorldStateData } from '../types/index.js';
+
+// Location of an object carried by the player
+export const PLAYER_LOCATION = 'player';
+
+// Per-session world state. Room definitions stay read-only and shared;
+// everything a player changes (object locations, room state flags, world
+// flags) is recorded here as an override on top of them, along with the
+// world clock, its scheduled events and quest progress.
+export class WorldState {
+  private objectLocations: Map<string, string>;
+  private roomStates: Map<string, Record<string, boolean>>;
+  private objectStates: Map<string, Record<string, boolean>>;
+  private flags: Map<string, boolean>;
+  private turn: number;
+  private scheduledEvents: Map<string, number>;
+  private firedEvents: Set<string>;
+  private quests: Map<string, number>;
+  private questSteps: Map<string, Set<string>>;
+
+  constructor(data?: WorldStateData) {
+    this.objectLocations = new Map(Object.entries(data?.objectLocations || {}));
+    this.roomStates = new Map(
+      Object.entries(data?.roomStates || {}).map(([roomId, state]) => [roomId, { ...state }])
+    );
+    this.objectStates = new Map(
+      Object.entries(data?.objectStates || {}).map(([objectId, state]) => [objectId, { ...state }])
+    );
+    this.flags = new Map(Object.entries(data?.flags || {}));
+    this.turn = data?.turn || 0;
+    this.scheduledEvents = new Map(Object.entries(data?.scheduledEvents || {}));
+    this.firedEvents = new Set(data?.firedEvents || []);
+    this.quests = new Map(Object.entries(data?.quests || {}));
+    this.questSteps = new Map(
+      Object.entries(data?.questSteps || {}).map(([questId, steps]) => [questId, new Set(steps)])
+    );
+  }
+
+  // Object locations: a room id, PLAYER_LOCATION, "container:<id>" or "hidden"
+  getObjectLocation(objectId: string, defaultLocation: string): string {
+    return this.objectLocations.get(objectId) ?? defaultLocation;
+  }
+
+  setObjectLocation(objectId: string, location: string): void {
+    this.objectLocations.set(objectId, location);
+  }
+
+  // Room state flags, falling back to the room definition's initial state
+  getRoomFlag(roomId: string, key: string, defaultValue: boolean = false): boolean {
+    return this.roomStates.get(roomId)?.[key] ?? defaultValue;
+  }
+
+  setRoomFlag(roomId: string, key: string, value: boolean): void {
+    const state = this.roomStates.get(roomId) || {};
+    state[key] = value;
+    this.roomStates.set(roomId, state);
+  }
+
+  // Object state flags (e.g. a container's open/locked state), falling back
+  // to the object definition's initial state
+  getObjectFlag(objectId: string, key: string, defaultValue: boolean = false): boolean {
+    return this.objectStates.get(objectId)?.[key] ?? defaultValue;
+  }
+
+  setObjectFlag(objectId: string, key: string, value: boolean): void {
+    const state = this.objectStates.get(objectId) || {};
+    state[key] = value;
+    this.objectStates.set(objectId, state);
+  }
+
+  // Global world flags
+  getFlag(key: string): boolean {
+    return this.flags.get(key) || false;
+  }
+
+  setFlag(key: string, value: boolean): void {
+    this.flags.set(key, value);
+  }
+
+  // World clock
+  getTurn(): number {
+    return this.turn;
+  }
+
+  advanceTurn(): number {
+    return ++this.turn;
+  }
+
+  // Scheduled world events: the turn an event fires on, if it is pending
+  getScheduledEvent(eventId: string): number | undefined {
+    return this.scheduledEvents.get(eventId);
+  }
+
+  scheduleEvent(eventId: string, turn: number): void {
+    this.scheduledEvents.set(eventId, turn);
+  }
+
+  cancelEvent(eventId: string): void {
+    this.scheduledEvents.delete(eventId);
+  }
+
+  hasEventFired(eventId: string): boolean {
+    return this.firedEvents.has(eventId);
+  }
+
+  markEventFired(eventId: string): void {
+    this.scheduledEvents.delete(eventId);
+    this.firedEvents.add(eventId);
+  }
+
+  // Quest progress: steps completed, or undefined if the quest hasn't started
+  getQuestProgress(questId: string): number | undefined {
+    return this.quests.get(questId);
+  }
+
+  setQuestProgress(questId: string, steps: number): void {
+    this.quests.set(questId, steps);
+  }
+
+  // Quest steps whose condition has held at some point
+  isQuestStepMet(questId: string, stepId: string): boolean {
+    return this.questSteps.get(questId)?.has(stepId) || false;
+  }
+
+  markQuestStepMet(questId: string, stepId: string): void {
+    const steps = this.questSteps.get(questId) || new Set<string>();
+    steps.add(stepId);
+    this.questSteps.set(questId, steps);
+  }
+
+  // Serialize for saving alongside PlayerState
+  toJSON(): WorldStateData {
+    const roomStates: Record<string, Record<string, boolean>> = {};
+    for (const [roomId, state] of this.roomStates) {
+      roomStates[roomId] = { ...state };
+    }
+    const objectStates: Record<string, Record<string, boolean>> = {};
+    for (const [objectId, state] of this.objectStates) {
+      objectStates[objectId] = { ...state };
+    }
+
+    return {
+      objectLocations: Object.fromEntries(this.objectLocations),
+      roomStates,
+      objectStates,
+      flags: Object.fromEntries(this.flags),
+      turn: this.turn,
+      scheduledEvents: Object.fromEntries(this.scheduledEvents),
+      firedEvents: [...this.firedEvents],
+      quests: Object.fromEntries(this.quests),
+      questSteps: Object.fromEntries([...this.questSteps].map(([questId, steps]) => [questId, [...steps]])),
+    };
+  }
+}
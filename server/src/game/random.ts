@@ -0,0 +1,17 @@
+// Where the game's chance rolls come from
+
+// Numbers in [0, 1), like Math.random
+export type RandomSource = () => number;
+
+// The same rolls every time for the same seed (mulberry32), for runs that
+// must be repeatable
+export function seededRandom(seed: number): RandomSource {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -1,5 +1,8 @@
 import { GameEngine } from './game/GameEngine.js';
 import { WebSocketHandler } from './websocket/WebSocketServer.js';
+import { ContentValidator, formatIssue } from './content/ContentValidator.js';
+import { readContent, loadContent } from './content/ContentLoader.js';
+import { ContentWatcher } from './content/ContentWatcher.js';
 import type { Room } from './types/index.js';
 import * as fs from 'fs';
 import * as path from 'path';
@@ -25,42 +28,11 @@ function resolveDataDir(): string {
 }
 
 const DATA_DIR = process.env.DATA_DIR || resolveDataDir();
-
-async function loadRooms(): Promise<Room[]> {
-  const roomsDir = path.join(DATA_DIR, 'rooms');
-  const rooms: Room[] = [];
-
-  try {
-    if (fs.existsSync(roomsDir)) {
-      const files = fs.readdirSync(roomsDir);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = fs.readFileSync(path.join(roomsDir, file), 'utf-8');
-          const roomData = JSON.parse(content);
-          
-          // Handle both single room and array of rooms
-          if (Array.isArray(roomData)) {
-            rooms.push(...roomData);
-          } else if (roomData.room) {
-            rooms.push(roomData.room);
-          } else {
-            rooms.push(roomData);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error loading rooms:', error);
-  }
-
-  // If no rooms loaded, create a default starting room
-  if (rooms.length === 0) {
-    console.log('No room data found, creating default starting room');
-    rooms.push(createDefaultStartingRoom());
-  }
-
-  return rooms;
-}
+// Player save slots live next to the game content unless configured
+const SAVE_DIR = process.env.SAVE_DIR || path.resolve(DATA_DIR, '..', 'saves');
+const SCHEMA_DIR = process.env.SCHEMA_DIR || path.resolve(DATA_DIR, '..', 'schemas');
+// Dev mode (npm run dev) reloads content files when they change
+const DEV_MODE = process.argv.includes('--dev');
 
 function createDefaultStartingRoom(): Room {
   try {
@@ -102,16 +74,42 @@ async function main() {
   console.log('========================================');
   console.log('');
 
+  // Broken content still loads, but every problem is listed up front
+  if (fs.existsSync(SCHEMA_DIR)) {
+    const issues = new ContentValidator(DATA_DIR, SCHEMA_DIR).validate();
+    if (issues.length > 0) {
+      console.warn(`Found ${issues.length} problem(s) in the game content (npm run validate):`);
+      issues.forEach(issue => console.warn(`  ${formatIssue(issue)}`));
+    }
+  }
+
   // Initialize game engine
-  const engine = new GameEngine();
+  const engine = new GameEngine({}, SAVE_DIR);
 
-  // Load room data
-  const rooms = await loadRooms();
-  await engine.loadRooms(rooms);
+  // Load game content
+  const content = readContent(DATA_DIR);
+
+  // If no rooms loaded, create a default starting room
+  if (content.rooms.length === 0) {
+    console.log('No room data found, creating default starting room');
+    content.rooms.push(createDefaultStartingRoom());
+  }
+  await loadContent(engine, content);
+
+  // Verbs the parser accepts but nothing handles fail with "I don't know how to"
+  const unhandledVerbs = engine.getUnhandledVerbs();
+  if (unhandledVerbs.length > 0) {
+    console.warn(`Verbs with no handler: ${unhandledVerbs.join(', ')}`);
+  }
 
   // Start WebSocket server
   const wsHandler = new WebSocketHandler(PORT, engine, 'ROOM_001');
 
+  const watcher = DEV_MODE
+    ? new ContentWatcher(engine, DATA_DIR, SCHEMA_DIR, reload => wsHandler.notifyContentReload(reload))
+    : undefined;
+  watcher?.start();
+
   // Periodic cleanup of inactive sessions
   setInterval(() => {
     wsHandler.cleanupInactiveSessions();
@@ -120,12 +118,14 @@ async function main() {
   // Graceful shutdown
   process.on('SIGINT', async () => {
     console.log('\nShutting down...');
+    watcher?.stop();
     await wsHandler.close();
     process.exit(0);
   });
 
   process.on('SIGTERM', async () => {
     console.log('\nShutting down...');
+    watcher?.stop();
     await wsHandler.close();
     process.exit(0);
   });
@@ -1,141 +1,12 @@
-import type { ParsedCommand } from '../types/index.js';
-
-// Verb synonyms - maps various input verbs to canonical verbs
-const VERB_SYNONYMS: Record<string, string> = {
-  // Movement
-  'go': 'go',
-  'walk': 'go',
-  'run': 'go',
-  'move': 'go',
-  'travel': 'go',
-  'head': 'go',
-  'n': 'go north',
-  'north': 'go north',
-  's': 'go south',
-  'south': 'go south',
-  'e': 'go east',
-  'east': 'go east',
-  'w': 'go west',
-  'west': 'go west',
-  'u': 'go up',
-  'up': 'go up',
-  'd': 'go down',
-  'down': 'go down',
-  'enter': 'go',
-  'exit': 'go',
-  'climb': 'climb',
-  'jump': 'jump',
-  'swim': 'swim',
-  'dive': 'dive',
-
-  // Examination
-  'look': 'look',
-  'l': 'look',
-  'examine': 'examine',
-  'x': 'examine',
-  'inspect': 'examine',
-  'read': 'read',
-  'search': 'search',
-  'listen': 'listen',
-  'smell': 'smell',
-  'taste': 'taste',
-
-  // Manipulation
-  'take': 'take',
-  'get': 'take',
-  'grab': 'take',
-  'pick': 'take',
-  'pickup': 'take',
-  'drop': 'drop',
-  'leave': 'drop',
-  'put': 'put',
-  'place': 'put',
-  'insert': 'insert',
-  'remove': 'remove',
-  'wear': 'equip',
-  'equip': 'equip',
-  'wield': 'equip',
-  'unequip': 'unequip',
-  'unwield': 'unequip',
-  'doff': 'unequip',
-
-  // Interaction
-  'open': 'open',
-  'close': 'close',
-  'shut': 'close',
-  'lock': 'lock',
-  'unlock': 'unlock',
-  'push': 'push',
-  'pull': 'pull',
-  'turn': 'turn',
-  'rotate': 'turn',
-  'break': 'break',
-  'smash': 'break',
-  'hit': 'attack',
-  'attack': 'attack',
-  'fight': 'attack',
-  'kill': 'attack',
-  'stab': 'attack',
-  'strike': 'attack',
-  'touch': 'touch',
-  'rub': 'rub',
-
-  // Use
-  'use': 'use',
-  'light': 'light',
-  'extinguish': 'extinguish',
-  'burn': 'burn',
-  'pour': 'pour',
-  'fill': 'fill',
-  'drink': 'drink',
-  'eat': 'eat',
-  'throw': 'throw',
-  'toss': 'throw',
-  'raise': 'raise',
-  'lower': 'lower',
-  'ring': 'ring',
-  'knock': 'knock',
-  'press': 'press',
-  'wave': 'wave',
-  'tie': 'tie',
-  'untie': 'untie',
-
-  // Communication
-  'say': 'say',
-  'speak': 'say',
-  'shout': 'shout',
-  'yell': 'shout',
-  'ask': 'ask',
-  'tell': 'tell',
-  'talk': 'talk',
-  'pray': 'pray',
-  'cast': 'cast',
-
-  // Meta
-  'think': 'think',
-  'wait': 'wait',
-  'z': 'wait',
-  'sleep': 'sleep',
-  'rest': 'rest',
-  'inventory': 'inventory',
-  'i': 'inventory',
-  'inv': 'inventory',
-  'help': 'help',
-  '?': 'help',
-  'save': 'save',
-  'load': 'load',
-  'restore': 'load',
-  'quit': 'quit',
-  'q': 'quit',
-  'restart': 'restart',
-  'reset': 'restart',
-  'status': 'status',
-  'stats': 'status',
-  'score': 'score',
-  'map': 'map',
-  'hint': 'hint',
-  'hints': 'hint',
-};
+import type { ParsedCommand, ParserContext } from '../types/index.js';
+import { closestMatches } from './spelling.js';
+
+// Where the parser gets its verbs: each word that can start a command,
+// mapped to the canonical verb it stands for ("get" -> "take"). A synonym
+// may include a noun ("n" -> "go north").
+export interface Vocabulary {
+  getSynonyms(): Record<string, string>;
+}
 
 // Prepositions that can appear in commands
 const PREPOSITIONS = [
@@ -146,8 +17,61 @@ const PREPOSITIONS = [
 // Articles to strip from input
 const ARTICLES = ['a', 'an', 'the', 'some', 'my'];
 
+// Words for every object in scope ("take all") and for leaving some out
+// ("drop all except flashlight")
+const ALL_WORDS = ['all', 'everything'];
+const EXCEPT_WORDS = ['except', 'but'];
+
+// Words standing for the object(s) the previous command referred to
+const PRONOUNS = ['it', 'them', 'him', 'her'];
+// Pronouns that only make sense for a single object
+const SINGULAR_PRONOUNS = ['it', 'him', 'her'];
+// Words that repeat the previous command
+const REPEAT_WORDS = ['again', 'g'];
+
+// Words that end one command and start the next
+const COMMAND_SEPARATORS = ['.', ';', 'then'];
+// ... and words that do so only when a command follows them; otherwise
+// they separate objects in a list ("take id tag and medkit")
+const LIST_SEPARATORS = [',', 'and'];
+
 export class CommandParser {
-  parse(input: string): ParsedCommand {
+  constructor(private vocabulary: Vocabulary) {}
+
+  // Split a line of input into the commands it chains together:
+  // "take medkit. n then turn on flashlight, and look"
+  split(input: string, specialVerbs: Record<string, string[]> = {}): string[] {
+    const starters = this.getCommandWords(specialVerbs);
+    const tokens = this.tokenize(input);
+
+    const commands: string[][] = [[]];
+    tokens.forEach((token, i) => {
+      const word = token.toLowerCase();
+      const next = tokens[i + 1]?.toLowerCase();
+      const separates = COMMAND_SEPARATORS.includes(word) ||
+        (LIST_SEPARATORS.includes(word) && next !== undefined &&
+          (starters.has(next) || COMMAND_SEPARATORS.includes(next) || LIST_SEPARATORS.includes(next)));
+
+      if (separates) {
+        commands.push([]);
+      } else {
+        commands[commands.length - 1].push(token);
+      }
+    });
+
+    return commands
+      .map(command => this.joinTokens(command.filter((token, i) => token !== ',' || (i > 0 && i < command.length - 1))))
+      .filter(command => command.length > 0);
+  }
+
+  // specialVerbs maps each of the current room's special verbs to its
+  // aliases; context holds what the session's previous commands referred
+  // to, for pronouns and "again"
+  parse(
+    input: string,
+    specialVerbs: Record<string, string[]> = {},
+    context: ParserContext = { referents: [] }
+  ): ParsedCommand {
     // Normalize input
     const normalized = input.toLowerCase().trim();
     
@@ -161,9 +85,9 @@ export class CommandParser {
     }
 
     // Tokenize
-    const tokens = this.tokenize(normalized);
+    const rawTokens = this.tokenize(normalized);
     
-    if (tokens.length === 0) {
+    if (rawTokens.length === 0) {
       return {
         verb: '',
         raw: input,
@@ -172,23 +96,51 @@ export class CommandParser {
       };
     }
 
+    if (rawTokens.length === 1 && REPEAT_WORDS.includes(rawTokens[0])) {
+      return context.lastCommand
+        ? { ...context.lastCommand }
+        : { verb: rawTokens[0], raw: input, valid: false, errorMessage: "There's nothing to repeat yet." };
+    }
+
+    // Pronouns stand for the objects of the previous command, by id
+    const pronoun = rawTokens.slice(1).find(token => PRONOUNS.includes(token));
+    const referentCount = context.referents.length;
+    if (pronoun && (referentCount === 0 || (referentCount > 1 && SINGULAR_PRONOUNS.includes(pronoun)))) {
+      return {
+        verb: rawTokens[0],
+        raw: input,
+        valid: false,
+        errorMessage: `I'm not sure what "${pronoun}" refers to.`,
+      };
+    }
+    const referentTokens = context.referents.flatMap((id, i) => i === 0 ? [id] : ['and', id]);
+    const tokens = pronoun
+      ? [rawTokens[0], ...rawTokens.slice(1).flatMap(token => PRONOUNS.includes(token) ? referentTokens : [token])]
+      : rawTokens;
+
+    // Room-specific verbs take precedence over the standard vocabulary
+    const special = this.matchSpecialVerb(tokens, specialVerbs);
+    if (special) {
+      return { ...special, pronoun, raw: input };
+    }
+
     // Get verb (first token)
     const firstToken = tokens[0];
     
-    // Check for direct direction shortcuts
-    const directionShortcut = VERB_SYNONYMS[firstToken];
-    if (directionShortcut && directionShortcut.startsWith('go ')) {
-      const direction = directionShortcut.split(' ')[1];
+    // Check for shortcuts that include their noun (e.g., "n" for "go north")
+    const synonyms = this.vocabulary.getSynonyms();
+    const shortcut = synonyms[firstToken]?.split(' ');
+    if (shortcut && shortcut.length > 1) {
       return {
-        verb: 'go',
-        noun: direction,
+        verb: shortcut[0],
+        noun: shortcut.slice(1).join(' '),
         raw: input,
         valid: true,
       };
     }
 
     // Look up canonical verb
-    const canonicalVerb = VERB_SYNONYMS[firstToken];
+    const canonicalVerb = synonyms[firstToken];
     if (!canonicalVerb) {
       return {
         verb: firstToken,
@@ -230,56 +182,105 @@ export class CommandParser {
       }
     }
 
-    let noun: string;
+    let nounTokens: string[];
     let indirectObject: string | undefined;
 
     if (prepositionIndex > 0) {
       // Has preposition - split into direct and indirect objects
-      noun = objectTokens.slice(0, prepositionIndex).join(' ');
-      indirectObject = objectTokens.slice(prepositionIndex + 1).join(' ') || undefined;
+      nounTokens = objectTokens.slice(0, prepositionIndex);
+      indirectObject = this.joinTokens(objectTokens.slice(prepositionIndex + 1)) || undefined;
     } else if (prepositionIndex === 0) {
       // Preposition at start (e.g., "look at book")
-      noun = objectTokens.slice(1).join(' ');
+      nounTokens = objectTokens.slice(1);
       preposition = objectTokens[0];
     } else {
       // No preposition - everything is the noun
-      noun = objectTokens.join(' ');
+      nounTokens = objectTokens;
     }
 
     return {
       verb: canonicalVerb,
-      noun: noun || undefined,
+      noun: this.joinTokens(nounTokens) || undefined,
+      ...this.parseObjectList(nounTokens),
       preposition,
       indirectObject,
+      pronoun,
       raw: input,
       valid: true,
     };
   }
 
-  private tokenize(input: string): string[] {
-    // Split on whitespace and filter empty strings
-    return input.split(/\s+/).filter(token => token.length > 0);
+  // Object lists in the noun: "all", "all except X and Y", "X, Y and Z"
+  private parseObjectList(tokens: string[]): Pick<ParsedCommand, 'nouns' | 'all' | 'except'> {
+    const splitList = (list: string[]) => this.joinTokens(list)
+      .split(/\s*,\s*|\s+and\s+/)
+      .map(noun => noun.trim())
+      .filter(noun => noun.length > 0);
+
+    if (ALL_WORDS.includes(tokens[0]) && (tokens.length === 1 || EXCEPT_WORDS.includes(tokens[1]))) {
+      const except = splitList(tokens.slice(2));
+      return { all: true, except: except.length > 0 ? except : undefined };
+    }
+
+    const nouns = splitList(tokens);
+    return nouns.length > 1 ? { nouns } : {};
   }
 
-  // Get suggestions for partial input (for autocomplete)
-  getSuggestions(partial: string): string[] {
-    const normalized = partial.toLowerCase().trim();
-    
-    if (!normalized) return [];
+  // Match the longest special verb phrase at the start of the input; the
+  // rest of the input becomes the noun
+  private matchSpecialVerb(
+    tokens: string[],
+    specialVerbs: Record<string, string[]>
+  ): Omit<ParsedCommand, 'raw'> | undefined {
+    const text = tokens.filter(t => !ARTICLES.includes(t)).join(' ');
+    let best: { verb: string; phrase: string } | undefined;
 
-    const suggestions: string[] = [];
-    
-    for (const verb of Object.keys(VERB_SYNONYMS)) {
-      if (verb.startsWith(normalized)) {
-        suggestions.push(verb);
+    for (const [verb, aliases] of Object.entries(specialVerbs)) {
+      for (const phrase of [verb, ...aliases].map(p => p.toLowerCase())) {
+        if ((text === phrase || text.startsWith(`${phrase} `)) && (!best || phrase.length > best.phrase.length)) {
+          best = { verb, phrase };
+        }
       }
     }
 
-    return suggestions.slice(0, 10);
+    if (!best) return undefined;
+    const noun = text.slice(best.phrase.length).trim();
+    return { verb: best.verb, noun: noun || undefined, valid: true, special: true };
+  }
+
+  private tokenize(input: string): string[] {
+    // Split on whitespace, keeping punctuation that separates commands and
+    // list items as tokens of its own
+    return input.replace(/([.;,])/g, ' $1 ').split(/\s+/).filter(token => token.length > 0);
+  }
+
+  private joinTokens(tokens: string[]): string {
+    return tokens.join(' ').replace(/ ,/g, ',');
+  }
+
+  // Whether a word can start a command
+  isCommandWord(word: string, specialVerbs: Record<string, string[]> = {}): boolean {
+    return this.getCommandWords(specialVerbs).has(word.toLowerCase());
+  }
+
+  // Command words close to a misspelled one, closest first. Abbreviations
+  // like "x" are too short to be told apart from typos and are left out.
+  getSuggestions(word: string, specialVerbs: Record<string, string[]> = {}): string[] {
+    const normalized = word.toLowerCase().trim();
+    if (normalized.length < 3) return [];
+
+    const words = [...this.getCommandWords(specialVerbs)].filter(candidate => candidate.length >= 3);
+    return closestMatches(normalized, words);
   }
 
-  // Get all valid verbs (for help display)
-  getValidVerbs(): string[] {
-    return [...new Set(Object.values(VERB_SYNONYMS))].sort();
+  // First words of every command: standard verbs, "again" and the current
+  // room's special verbs
+  private getCommandWords(specialVerbs: Record<string, string[]>): Set<string> {
+    return new Set([
+      ...Object.keys(this.vocabulary.getSynonyms()),
+      ...REPEAT_WORDS,
+      ...Object.entries(specialVerbs).flatMap(([verb, aliases]) =>
+        [verb, ...aliases].map(phrase => phrase.toLowerCase().split(/\s+/)[0])),
+    ]);
   }
 }
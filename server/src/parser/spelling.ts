@@ -0,0 +1,48 @@
+// Typo-tolerant matching for "Did you mean...?" suggestions
+
+// Edits (insertions, deletions, substitutions and swaps of neighbouring
+// letters) needed to turn one word into another
+export function editDistance(a: string, b: string): number {
+  const rows: number[][] = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Most edits a word of this length can be away from a match: short words
+// allow one typo, longer ones more
+function maxEdits(word: string): number {
+  if (word.length <= 4) return 1;
+  if (word.length <= 7) return 2;
+  return 3;
+}
+
+// Candidates close enough to a misspelled word, closest first
+export function closestMatches(word: string, candidates: Iterable<string>, limit: number = 3): string[] {
+  const needle = word.toLowerCase();
+  const scored: Array<[string, number]> = [];
+  for (const candidate of new Set(candidates)) {
+    const distance = editDistance(needle, candidate.toLowerCase());
+    if (distance > 0 && distance <= maxEdits(needle)) {
+      scored.push([candidate, distance]);
+    }
+  }
+  return scored
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, limit)
+    .map(([candidate]) => candidate);
+}
@@ -0,0 +1,93 @@
+// Check that the game can be finished: npm run analyze [-- <data dir>]
+//
+// Explores every reachable game state from the starting room and reports
+// whether the required rooms can be reached, content that never can, states
+// that can no longer be won, and the shortest winning walkthrough. Exits
+// with status 1 if the game can't be won or has soft-locks, and 2 if the
+// search hit its state limit (MAX_STATES per number of anchors captured,
+// default 200000) first. Chance rolls are seeded (SEED, default 1), so a run
+// can be repeated.
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GameEngine } from '../game/GameEngine.js';
+import { seededRandom } from '../game/random.js';
+import { readContent, loadContent } from '../content/ContentLoader.js';
+import { SolvabilityAnalyzer } from '../content/SolvabilityAnalyzer.js';
+
+const START_ROOM = process.env.START_ROOM || 'ROOM_001';
+// Soft-locks listed in full; the rest are only counted
+const MAX_LISTED = 10;
+
+function resolveDataDir(): string {
+  const candidates = [
+    path.resolve(process.cwd(), 'data'),
+    path.resolve(process.cwd(), '..', 'data'),
+  ];
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+async function main(): Promise<number> {
+  const dataDir = path.resolve(process.argv[2] || process.env.DATA_DIR || resolveDataDir());
+  if (!fs.existsSync(dataDir)) {
+    console.error(`No data directory at ${dataDir}`);
+    return 2;
+  }
+
+  const content = readContent(dataDir);
+  const roomName = (roomId: string) =>
+    `${roomId} (${content.rooms.find(room => room.identity.id === roomId)?.identity.canonicalName ?? 'unknown'})`;
+
+  // The engine only needs a save directory for its signing secret; nothing
+  // is saved during the analysis
+  const saveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyze-'));
+  const seed = parseInt(process.env.SEED || '1', 10);
+  const engine = new GameEngine({ autosave: false }, saveDir, seededRandom(seed));
+  await loadContent(engine, content);
+
+  const maxStates = parseInt(process.env.MAX_STATES || '200000', 10);
+  const report = await new SolvabilityAnalyzer(engine, content, START_ROOM, maxStates).analyze();
+  fs.rmSync(saveDir, { recursive: true, force: true });
+
+  console.log(`\nExplored ${report.states} states and ${report.transitions} transitions from ${roomName(START_ROOM)}.`);
+  if (!report.complete) {
+    console.log(`Stopped at the limit of ${maxStates} states per anchor; the findings below are incomplete.`);
+  }
+
+  console.log('\nRequired rooms:');
+  for (const { roomId, steps } of report.requiredRooms) {
+    console.log(`  ${roomName(roomId)}: ${steps === undefined ? 'UNREACHABLE' : `reached in ${steps} commands`}`);
+  }
+
+  const list = (title: string, entries: string[]) => {
+    console.log(`\n${title}: ${entries.length === 0 ? 'none' : ''}`);
+    entries.forEach(entry => console.log(`  ${entry}`));
+  };
+  list('Unreachable rooms', report.unreachableRooms.map(roomName));
+  list('Objects that can never be taken', report.untakeableObjects.map(({ objectId, roomId }) => `${objectId} in ${roomName(roomId)}`));
+  list('Items that can never be held', report.unobtainableItems);
+
+  console.log(`\nSoft-locks: ${report.softLocks.length === 0 ? 'none' : ''}`);
+  for (const { roomId, path: commands, sealedBy } of report.softLocks.slice(0, MAX_LISTED)) {
+    console.log(`  "${sealedBy.join(', ')}" in ${roomName(roomId)} makes the game unwinnable, after:`);
+    console.log(`    ${commands.join(', ') || '(the start)'}`);
+  }
+  if (report.softLocks.length > MAX_LISTED) {
+    console.log(`  ...and ${report.softLocks.length - MAX_LISTED} more`);
+  }
+
+  if (report.walkthrough) {
+    console.log(`\nShortest walkthrough (${report.walkthrough.length} commands):`);
+    report.walkthrough.forEach((command, index) => console.log(`  ${String(index + 1).padStart(3)}. ${command}`));
+  } else {
+    console.log('\nNo way to win was found.');
+  }
+
+  if (!report.complete) return 2;
+  return report.walkthrough && report.softLocks.length === 0 ? 0 : 1;
+}
+
+main().then(code => process.exit(code), error => {
+  console.error('Analysis failed:', error);
+  process.exit(2);
+});
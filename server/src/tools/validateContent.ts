@@ -0,0 +1,34 @@
+// Validate the game content: npm run validate [-- <data dir>]
+//
+// Prints one line per problem ("rooms/station_area.json:812: ROOM_008
+// exits.south: ...") and exits with status 1 if there were any.
+import * as fs from 'fs';
+import * as path from 'path';
+import { ContentValidator, formatIssue } from '../content/ContentValidator.js';
+
+function resolveDataDir(): string {
+  const candidates = [
+    path.resolve(process.cwd(), 'data'),
+    path.resolve(process.cwd(), '..', 'data'),
+  ];
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+const dataDir = path.resolve(process.argv[2] || process.env.DATA_DIR || resolveDataDir());
+const schemaDir = process.env.SCHEMA_DIR || path.resolve(dataDir, '..', 'schemas');
+
+if (!fs.existsSync(dataDir)) {
+  console.error(`No data directory at ${dataDir}`);
+  process.exit(2);
+}
+
+const issues = new ContentValidator(dataDir, schemaDir).validate();
+for (const issue of issues) {
+  console.error(formatIssue(issue));
+}
+
+if (issues.length > 0) {
+  console.error(`\n${issues.length} problem${issues.length === 1 ? '' : 's'} in ${dataDir}`);
+  process.exit(1);
+}
+console.log(`Content in ${dataDir} is valid`);
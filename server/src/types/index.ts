@@ -3,16 +3,70 @@ export * from '../../../shared/types/game.js';
 
 // Server-specific types
 import type { WebSocket } from 'ws';
-import type { PlayerState } from '../../../shared/types/game.js';
+import type { EnemyDefinition, PlayerState, SaveFile } from '../../../shared/types/game.js';
+import type { WorldState } from '../game/WorldState.js';
 
 export interface GameSession {
   id: string;
   socket: WebSocket;
   player: PlayerState;
+  world: WorldState;
   connected: boolean;
   lastActivity: number;
+  // Secret the player's client keeps; it owns their saves on disk
+  playerKey: string;
   inCombat: boolean;
-  currentEnemy?: string;
+  combat?: CombatState;
+  // Command waiting for the player to say which object they meant
+  pendingCommand?: PendingCommand;
+  // What earlier commands referred to, for pronouns and "again"
+  parserContext?: ParserContext;
+}
+
+export interface ParserContext {
+  // Ids of the objects the last command that named objects referred to
+  referents: string[];
+  // The last command run, for "again"
+  lastCommand?: ParsedCommand;
+}
+
+// A command that named an ambiguous object, and the objects it could mean
+export interface PendingCommand {
+  command: ParsedCommand;
+  slot: 'noun' | 'indirectObject';
+  scope: ObjectScope;
+  // Object ids, in the order they were offered
+  options: string[];
+}
+
+// An enemy currently engaged by a session
+export interface CombatState {
+  npcId: string;
+  roomId: string;
+  name: string;
+  hp: number;
+  maxHp: number;
+  damage: number;
+  defense: number;
+  accuracy: number;
+  attackMessages: string[];
+  defeatMessage?: string;
+  inflicts?: EnemyDefinition['inflicts'];
+  round: number;
+  // Damage the player's psionic shield will still absorb
+  shield?: number;
+}
+
+// Combat payload forwarded to the client's combat overlay
+export interface CombatUpdate {
+  enemy: {
+    id: string;
+    name: string;
+    hp: number;
+    maxHp: number;
+  };
+  log: string[];
+  result?: 'victory' | 'defeat' | 'flee';
 }
 
 export interface ParsedCommand {
@@ -20,9 +74,19 @@ export interface ParsedCommand {
   noun?: string;
   preposition?: string;
   indirectObject?: string;
+  // Object lists: "take X and Y" lists the nouns; "take all except X"
+  // sets all and lists the exceptions
+  nouns?: string[];
+  all?: boolean;
+  except?: string[];
+  // Pronoun the player used; it has been replaced by the ids of the objects
+  // it stood for
+  pronoun?: string;
   raw: string;
   valid: boolean;
   errorMessage?: string;
+  // Matched one of the current room's special verbs
+  special?: boolean;
 }
 
 export interface CommandResult {
@@ -31,14 +95,59 @@ export interface CommandResult {
   stateChanges?: Partial<PlayerState>;
   roomChanged?: boolean;
   combatTriggered?: boolean;
+  combat?: CombatUpdate;
+  died?: boolean;
+  // Game turns the command took (default 1)
+  turns?: number;
+  // Save file to send to the client for download
+  saveExport?: SaveFile;
   modalData?: {
     type: string;
-    content: string;
+    content?: string;
+    data?: Record<string, unknown>;
   };
 }
 
+// Where a verb looks for the objects it names: in the room, among the
+// things the player carries, or both
+export type ObjectScope = 'room' | 'carried' | 'all';
+
+// What a verb expects after it. Commands missing a required part are
+// refused before the handler runs.
+export interface VerbGrammar {
+  noun?: 'required' | 'optional';
+  // Set when the noun names an object, for disambiguation, pronouns and
+  // object lists
+  nounScope?: ObjectScope;
+  // Prepositions that can introduce the indirect object ("put X in Y")
+  prepositions?: string[];
+  indirectObject?: 'required' | 'optional';
+  indirectScope?: ObjectScope;
+  // Where "all" looks, for verbs that accept it
+  allScope?: ObjectScope;
+}
+
+// A line of the help text
+export interface VerbHelp {
+  category: string;
+  usage: string;
+}
+
+// One or more verbs sharing a handler, registered with the engine's
+// VerbRegistry
 export interface VerbHandler {
+  // Canonical verbs handled
   verbs: string[];
+  // Other words for them; a synonym may include a noun ("n" -> "go north")
   synonyms: Record<string, string>;
-  handler: (session: GameSession, command: ParsedCommand) => Promise<CommandResult>;
+  grammar?: VerbGrammar;
+  help?: VerbHelp[];
+  // Takes no game time (no per-turn hazards)
+  free?: boolean;
+  // Can be used in a fight. Anything else is refused until the fight ends,
+  // since it would give the player a turn the enemy doesn't get.
+  duringCombat?: boolean;
+  // Left out for words the parser should know before the game can act on
+  // them; such commands fail with "I don't know how to"
+  handler?: (session: GameSession, command: ParsedCommand) => Promise<CommandResult>;
 }
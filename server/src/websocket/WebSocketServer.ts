@@ -1,16 +1,22 @@
 import { WebSocketServer as WSServer, WebSocket } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { GameEngine } from '../game/GameEngine.js';
+import { MAX_NAME_LENGTH } from '../game/SaveCodec.js';
+import type { ContentReload } from '../content/ContentWatcher.js';
 import type { 
   GameSession, 
+  CommandResult,
   ClientMessage, 
   ServerMessage,
   ResponseMessage,
   StateUpdateMessage,
-  ErrorMessage,
-  PlayerState
+  ErrorMessage
 } from '../types/index.js';
 
+// Lengths of a player key a client may send; short keys are guessable
+const MIN_PLAYER_KEY_LENGTH = 16;
+const MAX_PLAYER_KEY_LENGTH = 128;
+
 export class WebSocketHandler {
   private wss: WSServer;
   private sessions: Map<string, GameSession> = new Map();
@@ -38,14 +44,28 @@ export class WebSocketHandler {
       id: sessionId,
       socket,
       player: this.engine.createNewPlayer('Unknown', this.startingRoom),
+      world: this.engine.createWorldState(),
       connected: true,
       lastActivity: Date.now(),
+      // Until the client sends the key it keeps
+      playerKey: uuidv4(),
       inCombat: false,
     };
 
     this.sessions.set(sessionId, session);
 
-    socket.on('message', (data) => this.handleMessage(session, data.toString()));
+    // Messages are handled one at a time, in the order they came in: a
+    // command waiting on a save must finish before the next one touches the
+    // session. A failing command must not take the whole server down with it.
+    let handling: Promise<void> = Promise.resolve();
+    socket.on('message', (data) => {
+      handling = handling
+        .then(() => this.handleMessage(session, data.toString()))
+        .catch(error => {
+          console.error(`Error handling message from ${session.id}:`, error);
+          this.sendError(session, 'SERVER_ERROR', 'Something went wrong handling that command.');
+        });
+    });
     socket.on('close', () => this.handleDisconnect(session));
     socket.on('error', (error) => this.handleSocketError(session, error));
 
@@ -77,21 +97,35 @@ export class WebSocketHandler {
       case 'command':
         await this.handleCommand(session, message);
         break;
+      case 'import_save':
+        await this.handleImportSave(session, message);
+        break;
       default:
         this.sendError(session, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${(message as any).type}`);
     }
   }
 
   private async handleConnect(session: GameSession, message: any): Promise<void> {
-    // Check for saved state
-    if (message.savedState) {
-      try {
-        const savedPlayer = JSON.parse(message.savedState) as PlayerState;
-        session.player = savedPlayer;
-        console.log(`Restored session for ${savedPlayer.name}`);
-      } catch (e) {
-        console.log('Failed to restore saved state, starting fresh');
+    // Clients without a key of their own keep the random one for this
+    // connection, and can't get back to their disk saves later
+    if (typeof message.playerKey === 'string' &&
+      message.playerKey.length >= MIN_PLAYER_KEY_LENGTH && message.playerKey.length <= MAX_PLAYER_KEY_LENGTH) {
+      session.playerKey = message.playerKey;
+    }
+
+    // Resume the client's game only if it carries this server's signature
+    // and passes validation; otherwise explain and start fresh
+    let notice = '';
+    if (message.savedGame) {
+      const error = this.engine.restoreClientSave(session, message.savedGame);
+      if (error) {
+        console.log(`Rejected saved game: ${error}`);
+        notice = `Your saved game could not be restored because ${error}. Starting a new game.\n\n`;
+      } else {
+        console.log(`Restored session for ${session.player.name}`);
       }
+    } else if (message.savedState) {
+      notice = 'Your saved game is from an older version and could not be verified. Starting a new game.\n\n';
     }
 
     // If no saved state or restore failed, prompt for name
@@ -100,7 +134,7 @@ export class WebSocketHandler {
         type: 'response',
         timestamp: Date.now(),
         sessionId: session.id,
-        text: 'Welcome to Shadow Chronicles.\n\nWhat is your name, traveler?',
+        text: `${notice}Welcome to Shadow Chronicles.\n\nWhat is your name, traveler?`,
         formatted: true,
         className: 'intro',
       });
@@ -110,12 +144,17 @@ export class WebSocketHandler {
     // Send welcome back message and current room
     const room = this.engine.getCurrentRoom(session);
     if (room) {
-      const description = this.engine.getRoomDescription(room, session.player);
+      const description = this.engine.getRoomDescription(room, session);
+      const quests = this.engine.updateQuests(session);
+      const objective = this.engine.getQuestLog(session).currentObjective;
+      if (quests.length === 0 && objective) {
+        quests.push(`**Current objective:** ${objective}`);
+      }
       this.send(session, {
         type: 'response',
         timestamp: Date.now(),
         sessionId: session.id,
-        text: `Welcome back, ${session.player.name}.\n\n${description}`,
+        text: `Welcome back, ${session.player.name}.\n\n${description}${quests.length > 0 ? `\n\n${quests.join('\n')}` : ''}`,
         formatted: true,
       });
 
@@ -133,19 +172,36 @@ export class WebSocketHandler {
 
     // Handle name input for new players
     if (session.player.name === 'Unknown') {
-      session.player.name = input.trim();
+      // Names a save couldn't carry would make the game unloadable later
+      const name = input.trim();
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        this.send(session, {
+          type: 'response',
+          timestamp: Date.now(),
+          sessionId: session.id,
+          text: name
+            ? `That name is too long; please keep it to ${MAX_NAME_LENGTH} characters.\n\nWhat is your name, traveler?`
+            : 'What is your name, traveler?',
+          formatted: true,
+          className: 'error',
+        });
+        return;
+      }
+
+      session.player.name = name;
       session.player.location = this.startingRoom;
       
       const room = this.engine.getCurrentRoom(session);
       if (room) {
         session.player.visitedRooms.push(room.identity.id);
-        const description = this.engine.getRoomDescription(room, session.player);
+        const description = this.engine.getRoomDescription(room, session);
+        const quests = this.engine.updateQuests(session);
         
         this.send(session, {
           type: 'response',
           timestamp: Date.now(),
           sessionId: session.id,
-          text: `Welcome, ${session.player.name}.\n\n${this.getIntroText()}\n\n${description}`,
+          text: `Welcome, ${session.player.name}.\n\n${this.getIntroText()}\n\n${description}\n\n${quests.join('\n')}`,
           formatted: true,
           className: 'intro',
         });
@@ -155,9 +211,13 @@ export class WebSocketHandler {
       return;
     }
 
-    // Process game command
-    const result = await this.engine.processCommand(session, input);
+    // Process game commands, reporting each result in order
+    for (const result of await this.engine.processInput(session, input)) {
+      this.sendResult(session, result);
+    }
+  }
 
+  private sendResult(session: GameSession, result: CommandResult): void {
     // Send response
     this.send(session, {
       type: 'response',
@@ -173,12 +233,47 @@ export class WebSocketHandler {
       this.sendStateUpdate(session);
     }
 
-    // Handle combat trigger
-    if (result.combatTriggered) {
+    // Handle combat start, per-turn updates and combat end
+    if (result.combat) {
+      const { enemy, log, result: outcome } = result.combat;
+      if (result.combatTriggered) {
+        this.send(session, {
+          type: 'combat_start',
+          timestamp: Date.now(),
+          sessionId: session.id,
+          enemy,
+          log,
+        });
+      } else if (!outcome) {
+        this.send(session, {
+          type: 'combat_update',
+          timestamp: Date.now(),
+          sessionId: session.id,
+          enemy,
+          log,
+        });
+      }
+
+      if (outcome) {
+        this.send(session, {
+          type: 'combat_end',
+          timestamp: Date.now(),
+          sessionId: session.id,
+          enemy,
+          log,
+          result: outcome,
+        });
+      }
+    }
+
+    // Hand exported saves to the client to download
+    if (result.saveExport) {
       this.send(session, {
-        type: 'combat_start',
+        type: 'save_export',
         timestamp: Date.now(),
         sessionId: session.id,
+        slot: result.saveExport.slot,
+        save: result.saveExport,
       });
     }
 
@@ -190,10 +285,32 @@ export class WebSocketHandler {
         sessionId: session.id,
         modalType: result.modalData.type as any,
         content: result.modalData.content,
+        data: result.modalData.data,
       });
     }
   }
 
+  private async handleImportSave(session: GameSession, message: any): Promise<void> {
+    if (typeof message.save !== 'string') {
+      this.sendError(session, 'INVALID_SAVE', 'No save file provided');
+      return;
+    }
+
+    const result = await this.engine.importSave(session, message.save);
+    this.send(session, {
+      type: 'response',
+      timestamp: Date.now(),
+      sessionId: session.id,
+      text: result.message,
+      formatted: true,
+      className: result.success ? undefined : 'error',
+    });
+
+    if (result.success) {
+      this.sendStateUpdate(session);
+    }
+  }
+
   private handleDisconnect(session: GameSession): void {
     console.log(`Disconnected: ${session.id}`);
     session.connected = false;
@@ -246,10 +363,15 @@ export class WebSocketHandler {
         equippedItems: session.player.equippedItems,
         statusEffects: session.player.statusEffects,
         skills: session.player.skills,
+        fatigue: session.player.fatigue,
+        hintsUsed: session.player.hintsUsed,
         location: session.player.location,
         visitedRooms: session.player.visitedRooms,
         flags: session.player.flags,
       },
+      world: session.world.toJSON(),
+      quests: this.engine.getQuestLog(session),
+      save: this.engine.getClientSave(session),
       room: room ? {
         identity: room.identity,
         lighting: room.lighting,
@@ -282,6 +404,42 @@ Type "help" for a list of commands.`;
     }
   }
 
+  // Dev mode: the content was reloaded under the running games. Players stay
+  // where they are unless their room was removed, and every client hears
+  // what changed and what the validator found.
+  notifyContentReload(reload: ContentReload): void {
+    for (const session of this.sessions.values()) {
+      if (!session.connected) continue;
+
+      if (reload.content && session.player.name !== 'Unknown') {
+        if (!this.engine.getCurrentRoom(session)) {
+          session.player.location = this.startingRoom;
+          this.send(session, {
+            type: 'response',
+            timestamp: Date.now(),
+            sessionId: session.id,
+            text: 'The room you were in no longer exists. You are back at the start.',
+            formatted: true,
+            className: 'system',
+          });
+        }
+        this.sendStateUpdate(session);
+      }
+
+      this.send(session, {
+        type: 'content_reload',
+        timestamp: Date.now(),
+        sessionId: session.id,
+        files: reload.files,
+        reloaded: reload.content !== undefined,
+        issues: reload.issues,
+        rooms: reload.content?.rooms,
+        items: reload.content?.items,
+        spells: reload.content?.spells,
+      });
+    }
+  }
+
   // Get session count
   getSessionCount(): number {
     return this.sessions.size;
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { GameEngine } from '../src/game/GameEngine.js';
+import { createEngine, createSession, findRoom, play } from './helpers.js';
+
+// Walk from the Primary Science Lab into the containment chamber, where the
+// specimen attacks
+async function startFight(engine: GameEngine) {
+  const session = createSession(engine);
+  session.player.location = 'ROOM_007';
+  session.world.setRoomFlag('ROOM_007', 'unlocked_north', true);
+  const result = await play(engine, session, 'go north');
+  assert.ok(result.combatTriggered);
+  return session;
+}
+
+// Every flee attempt succeeds, as far as the dice go
+const lucky = () => 0;
+
+describe('fleeing', () => {
+  it('escapes back through the exit the player came in by', async () => {
+    const engine = await createEngine({ random: lucky });
+    const session = await startFight(engine);
+
+    await play(engine, session, 'flee');
+    assert.equal(session.inCombat, false);
+    assert.equal(session.player.location, 'ROOM_007');
+  });
+
+  it('applies the entry hazards of the room fled to', async () => {
+    const engine = await createEngine({
+      random: lucky,
+      edit: content => findRoom(content, 'ROOM_007').environment.hazards.push('electrical_hazard'),
+    });
+    const session = await startFight(engine);
+
+    const result = await play(engine, session, 'flee');
+    assert.equal(session.player.location, 'ROOM_007');
+    assert.match(result.message, /Arcing current/);
+  });
+
+  it("can't go back across a one-way exit", async () => {
+    const engine = await createEngine({
+      random: lucky,
+      edit: content => { findRoom(content, 'ROOM_007').exits.north.oneWay = true; },
+    });
+    const session = await startFight(engine);
+
+    const result = await play(engine, session, 'flee');
+    assert.equal(session.inCombat, true);
+    assert.equal(session.player.location, 'ROOM_008');
+    assert.match(result.message, /no way back/);
+  });
+});
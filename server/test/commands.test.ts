@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, createSession, play } from './helpers.js';
+
+describe('the parser', () => {
+  it('says so when "it" is already carried', async () => {
+    const engine = await createEngine();
+    const session = createSession(engine);
+
+    await play(engine, session, 'take flashlight');
+    const result = await engine.processCommand(session, 'take it');
+    assert.equal(result.success, false);
+    assert.equal(result.message, "You're already carrying the flashlight.");
+  });
+
+  it('forgets "it" and the last command on restart', async () => {
+    const engine = await createEngine();
+    const session = createSession(engine);
+
+    await play(engine, session, 'examine flashlight', 'restart');
+    assert.equal((await engine.processCommand(session, 'take it')).message, `I'm not sure what "it" refers to.`);
+    assert.equal((await engine.processCommand(session, 'again')).message, "There's nothing to repeat yet.");
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ContentValidator } from '../src/content/ContentValidator.js';
+import { DATA_DIR, SCHEMA_DIR } from './helpers.js';
+
+// Validate a copy of the game's content with one room changed
+function validateWithRoom(roomId: string, edit: (room: any) => void) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-chronicles-data-'));
+  try {
+    fs.cpSync(DATA_DIR, dataDir, { recursive: true });
+    const file = path.join(dataDir, 'rooms', 'station_area.json');
+    const rooms = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    edit(rooms.find((room: any) => room.identity.id === roomId));
+    fs.writeFileSync(file, JSON.stringify(rooms, null, 2));
+    return new ContentValidator(dataDir, SCHEMA_DIR).validate();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+describe('content validator', () => {
+  it('finds no problems in the game content', () => {
+    assert.deepEqual(new ContentValidator(DATA_DIR, SCHEMA_DIR).validate(), []);
+  });
+
+  it('checks references in a room that also fails its schema', () => {
+    const issues = validateWithRoom('ROOM_001', room => {
+      room.lighting = 5;
+      room.exits.north.to = 'ROOM_NOWHERE';
+    });
+    const messages = issues.map(issue => `${issue.path}: ${issue.message}`);
+
+    assert.ok(messages.includes('ROOM_001 lighting: expected object, found number'), messages.join('\n'));
+    assert.ok(messages.includes('ROOM_001 exits.north.to: exit "north" leads to unknown room "ROOM_NOWHERE"'), messages.join('\n'));
+  });
+});
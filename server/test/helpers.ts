@@ -0,0 +1,68 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { GameEngine } from '../src/game/GameEngine.js';
+import { seededRandom, type RandomSource } from '../src/game/random.js';
+import { readContent, loadContent, type GameContent } from '../src/content/ContentLoader.js';
+import type { CommandResult, GameSession, Room } from '../src/types/index.js';
+
+export const DATA_DIR = path.resolve(__dirname, '..', '..', 'data');
+export const SCHEMA_DIR = path.resolve(__dirname, '..', '..', 'schemas');
+const STARTING_ROOM = 'ROOM_001';
+
+export interface EngineOptions {
+  // Chance rolls; seeded, so the same every run, by default
+  random?: RandomSource;
+  // Changes to make to the game's content before it is loaded
+  edit?: (content: GameContent) => void;
+}
+
+// An engine with the game's content. Saves go to a scratch directory that
+// is removed on exit.
+export async function createEngine(options: EngineOptions = {}): Promise<GameEngine> {
+  const saveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-chronicles-'));
+  process.on('exit', () => fs.rmSync(saveDir, { recursive: true, force: true }));
+
+  const engine = new GameEngine({ autosave: false }, saveDir, options.random || seededRandom(1));
+  const content = readContent(DATA_DIR);
+  options.edit?.(content);
+  await loadContent(engine, content);
+  return engine;
+}
+
+// A room of the game's content, to edit before it is loaded
+export function findRoom(content: GameContent, roomId: string): Room {
+  const room = content.rooms.find(candidate => candidate.identity.id === roomId);
+  if (!room) throw new Error(`No room ${roomId}`);
+  return room;
+}
+
+// A new game, as the server starts one once the player has given a name
+export function createSession(engine: GameEngine, name: string = 'Tester'): GameSession {
+  const session: GameSession = {
+    id: name,
+    socket: undefined as unknown as GameSession['socket'],
+    player: engine.createNewPlayer(name, STARTING_ROOM),
+    world: engine.createWorldState(),
+    connected: true,
+    lastActivity: 0,
+    playerKey: `${name}-key`,
+    inCombat: false,
+  };
+  session.player.visitedRooms.push(STARTING_ROOM);
+  engine.updateQuests(session);
+  return session;
+}
+
+// Run commands in order, failing on the first one that fails; returns the
+// last result
+export async function play(engine: GameEngine, session: GameSession, ...commands: string[]): Promise<CommandResult> {
+  let result: CommandResult | undefined;
+  for (const command of commands) {
+    result = await engine.processCommand(session, command);
+    if (!result.success) {
+      throw new Error(`"${command}" failed: ${result.message}`);
+    }
+  }
+  return result!;
+}
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine, createSession, play } from './helpers.js';
+
+describe('quests', () => {
+  it('completes a step whose item was used up before the quest started', async () => {
+    const engine = await createEngine();
+    const session = createSession(engine);
+
+    // Power the Science Wing door before Power to the Labs has started:
+    // without the flashlight, Out of the Ice isn't complete yet
+    await play(engine, session,
+      'go north', 'go north', 'go west', 'go west', 'go west', 'take power cell',
+      'go east', 'go east', 'go east', 'go east', 'unlock east');
+    assert.equal(session.world.getQuestProgress('power_to_the_labs'), undefined);
+
+    await play(engine, session, 'go west', 'go south', 'go south', 'take flashlight', 'go north', 'go north');
+    assert.equal(session.world.getQuestProgress('out_of_the_ice'), 2);
+    assert.equal(session.world.getQuestProgress('power_to_the_labs'), 2);
+  });
+
+  it('completes steps in order', async () => {
+    const engine = await createEngine();
+    const session = createSession(engine);
+
+    // Reaching the hub first doesn't tick off finding a light
+    await play(engine, session, 'go north', 'go north');
+    assert.equal(session.world.getQuestProgress('out_of_the_ice'), 0);
+
+    await play(engine, session, 'go south', 'go south', 'take flashlight');
+    assert.equal(session.world.getQuestProgress('out_of_the_ice'), 2);
+  });
+});
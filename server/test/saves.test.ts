@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SaveCodec, SAVE_VERSION } from '../src/game/SaveCodec.js';
+import type { SaveFile } from '../src/types/index.js';
+import { createEngine, createSession } from './helpers.js';
+
+const catalog = { hasRoom: () => true, hasItem: () => true, hasSkill: () => true, hasEffect: () => true };
+
+// A new game's save, unsigned, labelled with the given format version
+async function oldSave(version: number): Promise<SaveFile> {
+  const engine = await createEngine();
+  const { signature: _signature, ...save } = engine.getClientSave(createSession(engine));
+  return { ...save, version };
+}
+
+describe('save codec', () => {
+  it('refuses unsigned saves of every version', async () => {
+    const codec = new SaveCodec('test-secret', catalog);
+    for (let version = 1; version <= SAVE_VERSION; version++) {
+      assert.equal(codec.decode(await oldSave(version)).error, 'it is not signed by this server');
+    }
+  });
+
+  it('migrates signed saves of older versions', async () => {
+    const codec = new SaveCodec('test-secret', catalog);
+    const { save, error } = codec.decode(codec.sign(await oldSave(1)));
+    assert.equal(error, undefined);
+    assert.equal(save?.version, SAVE_VERSION);
+  });
+
+  it('refuses saves signed with another secret', async () => {
+    const save = new SaveCodec('another-secret', catalog).sign(await oldSave(SAVE_VERSION));
+    assert.equal(new SaveCodec('test-secret', catalog).decode(save).error, 'it has been modified');
+  });
+});
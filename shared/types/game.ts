@@ -14,8 +14,30 @@ export interface PlayerStats {
 export interface StatusEffect {
   id: string;
   name: string;
+  // Turns left
   duration: number;
   effects: Record<string, number>;
+  stacks?: number;
+}
+
+// Status effect catalog entry (data/effects). Items, hazards, spells, hooks
+// and enemies apply effects by id.
+export interface StatusEffectDefinition {
+  id: string;
+  name: string;
+  description?: string;
+  duration: number;
+  // hpPerTurn, mpPerTurn, or a stat name (Physical, Mental, Resilience)
+  effects: Record<string, number>;
+  // What reapplying an active effect does (default: refresh)
+  //   refresh  reset the duration
+  //   stack    add a stack up to maxStacks and reset the duration
+  //   extend   add the duration to what is left
+  //   ignore   nothing
+  stacking?: 'refresh' | 'stack' | 'extend' | 'ignore';
+  maxStacks?: number;
+  applyMessage?: string;
+  expireMessage?: string;
 }
 
 // Inventory Item
@@ -27,7 +49,42 @@ export interface InventoryItem {
   equippable: boolean;
   equipmentSlot?: 'weapon' | 'armor' | 'accessory' | 'light_source';
   usable: boolean;
+  // Weight of a single unit
   weight: number;
+  category?: ItemCategory;
+  // Uses left on the unit in use, for items with charges
+  charges?: number;
+}
+
+export type ItemCategory = 'consumable' | 'key' | 'tool' | 'weapon' | 'light' | 'document' | 'component' | 'junk';
+
+// Item catalog entry (data/items). Takeable room objects reference one by id.
+export interface ItemDefinition {
+  id: string;
+  name: string;
+  synonyms?: string[];
+  description: string;
+  category: ItemCategory;
+  weight: number;
+  // Most units that stack into one inventory entry
+  stackSize: number;
+  equipmentSlot?: 'weapon' | 'armor' | 'accessory' | 'light_source';
+  damage?: number;
+  use?: ItemUseEffect;
+}
+
+// What using an item does
+export interface ItemUseEffect {
+  message: string;
+  hp?: number;
+  mp?: number;
+  // Status effect id
+  applyEffect?: string;
+  cureEffects?: string[];
+  // Uses per unit before it is used up; one when omitted
+  charges?: number;
+  // Keep the item after use (tools); consumables are used up by default
+  reusable?: boolean;
 }
 
 // Equipped Items
@@ -57,6 +114,41 @@ export interface PlayerState {
   notes: string[];
   visitedRooms: string[];
   flags: Record<string, boolean>;
+  previousLocation?: string;
+  fatigue?: number;
+  // Hint tiers revealed so far, by hint id
+  hintsUsed?: Record<string, number>;
+}
+
+// Per-player world state layered over the read-only room definitions
+export interface WorldStateData {
+  objectLocations: Record<string, string>;
+  roomStates: Record<string, Record<string, boolean>>;
+  objectStates?: Record<string, Record<string, boolean>>;
+  flags: Record<string, boolean>;
+  // World clock: turns taken so far
+  turn?: number;
+  // Pending world events by id, with the turn they fire on
+  scheduledEvents?: Record<string, number>;
+  // One-shot world events that already fired
+  firedEvents?: string[];
+  // Steps completed so far for every quest that has started
+  quests?: Record<string, number>;
+  // Ids of the steps whose condition has held at some point, by quest,
+  // started or not; steps are still completed in order
+  questSteps?: Record<string, string[]>;
+}
+
+// A saved game: the player and their world state layer. Written to a
+// player's save slot on the server, and the format of exported saves.
+export interface SaveFile {
+  version: number;
+  slot: string;
+  savedAt: string;
+  player: PlayerState;
+  world: WorldStateData;
+  // HMAC of the rest of the file, added by the server
+  signature?: string;
 }
 
 // Room Exit
@@ -71,6 +163,21 @@ export interface RoomExit {
   } | null;
   blockedMessage: string | null;
   travelText: string;
+  door?: ExitDoor;
+}
+
+// Lock on an exit. Its state persists per session; `objects` are the room
+// objects (door, card reader, ...) players refer to when unlocking it.
+export interface ExitDoor {
+  // Initial state
+  locked: boolean;
+  // Sealed doors can't be unlocked with a key, only by scripted effects
+  sealed?: boolean;
+  keyId?: string;
+  // The key is used up when unlocking (e.g. a power cell inserted into a slot)
+  consumeKey?: boolean;
+  objects?: string[];
+  unlockMessage?: string;
 }
 
 // Room Object
@@ -79,15 +186,48 @@ export interface RoomObject {
   name: string;
   synonyms?: string[];
   description: string;
-  initialLocation: 'room' | 'container' | 'hidden';
+  initialLocation: 'room' | 'hidden' | `container:${string}`;
   visibility: 'always' | 'conditional' | 'hidden';
   requiresLight: boolean;
   takeable: boolean;
   taken: boolean;
   interactable: boolean;
   examineText: string;
-  equipmentSlot?: 'weapon' | 'armor' | 'accessory' | 'light_source';
+  // Item catalog entry the player gets when taking this object
+  item?: string;
   stateChanges?: Record<string, string>;
+  spellEffects?: Record<string, SpellEffect>;
+  // What using an item on this object does, keyed by item id
+  useEffects?: Record<string, ItemTargetEffect>;
+  container?: ContainerDefinition;
+}
+
+// Makes an object hold other objects (those with initialLocation
+// "container:<id>"). Contents are only visible and reachable while open.
+export interface ContainerDefinition {
+  // Initial state; players change it with open/close
+  open: boolean;
+  locked?: boolean;
+  keyId?: string;
+  // Maximum number of objects it can hold
+  capacity?: number;
+}
+
+// What happens when a spell is cast on an object outside of combat
+export interface SpellEffect {
+  message: string;
+  roomState?: Record<string, boolean>;
+  flags?: Record<string, boolean>;
+  unlockExit?: string;
+}
+
+// What happens when an item is used on an object ("use X on Y"). Works once
+// per object, like a spell effect.
+export interface ItemTargetEffect extends SpellEffect {
+  // Unlock and open the object itself when it is a container
+  openContainer?: boolean;
+  // The item is used up
+  consumeItem?: boolean;
 }
 
 // Room NPC
@@ -102,6 +242,65 @@ export interface RoomNPC {
   dialogue?: Record<string, string>;
 }
 
+// Enemy stat block (data/enemies)
+export interface EnemyDefinition {
+  id: string;
+  name: string;
+  category: string;
+  hp: number;
+  damage: number;
+  defense: number;
+  accuracy: number;
+  attackMessages?: string[];
+  defeatMessage?: string;
+  // XP for defeating it
+  xp?: number;
+  // Status effect a hit may apply
+  inflicts?: {
+    effect: string;
+    chance: number;
+  };
+}
+
+// Psionic spell (data/spells), keyed by the ability ids players learn as skills
+export interface SpellDefinition {
+  id: string;
+  name: string;
+  synonyms?: string[];
+  description: string;
+  mpCost: number;
+  fatigue: number;
+  // Fractional bonus to power per level above 1
+  scaling: number;
+  combat?: {
+    type: 'damage' | 'shield';
+    power: number;
+    message: string;
+  };
+  environmental: boolean;
+  castMessage?: string;
+  // Status effect id applied to the caster
+  effect?: string;
+}
+
+// Environmental hazard (data/hazards), keyed by the ids rooms list in environment.hazards
+export interface HazardDefinition {
+  id: string;
+  name: string;
+  trigger: 'enter' | 'turn';
+  chance?: number;
+  damage?: number;
+  mpDrain?: number;
+  message: string;
+  // Status effect id
+  effect?: string;
+  mitigation?: {
+    items?: string[];
+    skills?: string[];
+    message?: string;
+  };
+}
+
 // Room State
 export interface RoomState {
   visited: boolean;
@@ -111,10 +310,116 @@ export interface RoomState {
 // Room Hook
 export interface RoomHook {
   condition: string;
-  action: string;
+  action: RoomHookAction;
   params?: Record<string, unknown>;
 }
 
+// Actions a room hook can run (see HookRunner for their params)
+export type RoomHookAction =
+  | 'message'
+  | 'set_room_flag'
+  | 'set_flag'
+  | 'spawn_npc'
+  | 'despawn_npc'
+  | 'damage'
+  | 'apply_effect'
+  | 'grant_item'
+  | 'grant_skill'
+  | 'grant_xp'
+  | 'start_combat';
+
+// Timed world event (data/events). Once `trigger` holds, the event is
+// scheduled to fire `delay` turns later. Its actions run like room hooks, in
+// whatever room the player is in at the time; use "in:<roomId>" conditions
+// for effects that only reach the player nearby.
+export interface WorldEventDefinition {
+  id: string;
+  description?: string;
+  trigger: string;
+  delay: number;
+  // Fire again every `repeat` turns while the trigger still holds
+  repeat?: number;
+  actions: RoomHook[];
+}
+
+// Quest (data/quests): an anchor's main quest or one of its mandatory
+// subquests. A quest starts once every quest in `requires` is complete and
+// its steps are completed in order; a step counts as done when its
+// condition, or the condition of any later step, holds. An anchor is
+// captured when its 'anchor' quest completes.
+export interface QuestDefinition {
+  id: string;
+  name: string;
+  anchor: number;
+  type: 'anchor' | 'subquest';
+  description: string;
+  requires?: string[];
+  steps: QuestStep[];
+  completeMessage?: string;
+  // XP for completing the quest
+  xp?: number;
+}
+
+export interface QuestStep {
+  id: string;
+  objective: string;
+  // Condition string, as used by room hooks
+  condition: string;
+  completeMessage?: string;
+}
+
+// Hint (data/hints) for a puzzle, optionally limited to some rooms. The
+// first hint whose condition holds is offered; asking again reveals the
+// next tier (nudge, stronger, explicit).
+export interface HintDefinition {
+  id: string;
+  rooms?: string[];
+  condition: string;
+  tiers: string[];
+}
+
+// Quest progress as shown to the player
+export interface QuestLog {
+  anchorsCaptured: number;
+  anchorCount: number;
+  currentObjective?: string;
+  quests: QuestLogEntry[];
+}
+
+export interface QuestLogEntry {
+  id: string;
+  name: string;
+  anchor: number;
+  type: 'anchor' | 'subquest';
+  complete: boolean;
+  objectives: { text: string; done: boolean }[];
+}
+
+// Room-specific verb, matched by its key or any of its (multi-word) aliases
+export interface SpecialVerb {
+  aliases?: string[];
+  // Object the verb acts on; when set it must be in the room
+  targetId?: string;
+  description?: string;
+  requires?: SpecialVerbRequirement;
+  successMessage: string;
+  failureMessage: string;
+  // Room state flags to set; they are mirrored to world flags so other
+  // rooms can react
+  stateChanges?: Record<string, boolean>;
+  // XP for succeeding
+  xp?: number;
+}
+
+// All given fields must hold. `state` is compared with `value` (default true).
+export interface SpecialVerbRequirement {
+  state?: string;
+  value?: boolean;
+  item?: string;
+  skill?: string;
+  condition?: string;
+}
+
 // Room Definition
 export interface Room {
   identity: {
@@ -157,11 +462,7 @@ export interface Room {
     onExit: RoomHook[];
     onLook: RoomHook[];
   };
-  specialVerbs: Record<string, {
-    requires: string;
-    effect: string;
-    failureMessage: string;
-  }>;
+  specialVerbs: Record<string, SpecialVerb>;
   progression: {
     requiredForCompletion: boolean;
     unlocksRegions: string[];
@@ -182,11 +483,15 @@ export type MessageType =
   | 'state_update'
   | 'error'
   | 'combat_start'
+  | 'combat_update'
   | 'combat_end'
   | 'modal_open'
   | 'modal_close'
   | 'hint'
-  | 'map_update';
+  | 'map_update'
+  | 'import_save'
+  | 'save_export'
+  | 'content_reload';
 
 // Base Message
 export interface BaseMessage {
@@ -204,7 +509,20 @@ export interface CommandMessage extends BaseMessage {
 
 export interface ConnectMessage extends BaseMessage {
   type: 'connect';
-  savedState?: string; // JSON string of saved state from localStorage
+  // Random secret the client keeps for good; the first client to save under
+  // a player name owns that name's saves on the server
+  playerKey?: string;
+  // JSON of the signed save from the last state update
+  savedGame?: string;
+  // Unsigned player state kept from before saves were signed. It is never
+  // restored, only used to tell the player why their game can't resume.
+  savedState?: string;
+}
+
+// Exported save file to load into this session
+export interface ImportSaveMessage extends BaseMessage {
+  type: 'import_save';
+  save: string;
 }
 
 // Server -> Client Messages
@@ -218,7 +536,11 @@ export interface ResponseMessage extends BaseMessage {
 export interface StateUpdateMessage extends BaseMessage {
   type: 'state_update';
   player: Partial<PlayerState>;
+  world?: WorldStateData;
   room?: Partial<Room>;
+  quests?: QuestLog;
+  // Signed save of the game for the client to keep for reconnecting
+  save?: SaveFile;
 }
 
 export interface ErrorMessage extends BaseMessage {
@@ -228,13 +550,14 @@ export interface ErrorMessage extends BaseMessage {
 }
 
 export interface CombatMessage extends BaseMessage {
-  type: 'combat_start' | 'combat_end';
+  type: 'combat_start' | 'combat_update' | 'combat_end';
   enemy?: {
     id: string;
     name: string;
     hp: number;
     maxHp: number;
   };
+  log?: string[];
   result?: 'victory' | 'defeat' | 'flee';
 }
 
@@ -245,8 +568,39 @@ export interface ModalMessage extends BaseMessage {
   data?: Record<string, unknown>;
 }
 
-export type ClientMessage = CommandMessage | ConnectMessage;
-export type ServerMessage = ResponseMessage | StateUpdateMessage | ErrorMessage | CombatMessage | ModalMessage;
+// Save file for the client to download
+export interface SaveExportMessage extends BaseMessage {
+  type: 'save_export';
+  slot: string;
+  save: SaveFile;
+}
+
+// A problem in a content file, found by the content validator
+export interface ContentIssue {
+  // Relative to the data directory
+  file: string;
+  line: number;
+  // The id of the entry, then where in it ("ROOM_004 exits.north.to")
+  path: string;
+  message: string;
+}
+
+// The server's content files changed while it was running (dev mode). When
+// they are valid the new content is live and comes along for the client's
+// map and catalogs; otherwise the old content stays and issues say why.
+export interface ContentReloadMessage extends BaseMessage {
+  type: 'content_reload';
+  // Changed files, relative to the data directory
+  files: string[];
+  reloaded: boolean;
+  issues: ContentIssue[];
+  rooms?: Room[];
+  items?: ItemDefinition[];
+  spells?: SpellDefinition[];
+}
+
+export type ClientMessage = CommandMessage | ConnectMessage | ImportSaveMessage;
+export type ServerMessage = ResponseMessage | StateUpdateMessage | ErrorMessage | CombatMessage | ModalMessage | SaveExportMessage | ContentReloadMessage;
 export type GameMessage = ClientMessage | ServerMessage;
 
 // Game Configuration
@@ -259,4 +613,21 @@ export interface GameConfig {
   deathMpPenalty: number;
   restHpRecovery: number;
   restMpRecovery: number;
+  // Turns that resting or sleeping takes
+  restTurns: number;
+  // Passive recovery outside combat, every recoveryInterval turns
+  recoveryInterval: number;
+  passiveHpRecovery: number;
+  passiveMpRecovery: number;
+  // XP for entering a room for the first time and for learning an ability
+  xpRoomDiscovery: number;
+  xpAbilityLearned: number;
+  // Gains per level
+  levelHpGain: number;
+  levelMpGain: number;
+  levelStatGain: number;
+  // Anchors the game needs captured to finish
+  anchorCount: number;
+  // Save to the autosave slot whenever the player changes rooms
+  autosave: boolean;
 }